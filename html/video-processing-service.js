@@ -0,0 +1,168 @@
+/**
+ * Video Processing Service - UMD client untuk video-processing-worker.js
+ * Menjalankan FFmpeg di Web Worker sehingga UI tetap responsif.
+ * Versi ES module untuk aplikasi React ada di src/workers/videoProcessingService.js.
+ */
+
+(function(global) {
+    'use strict';
+
+    function cancelledError() {
+        const error = new Error('Proses dibatalkan');
+        error.cancelled = true;
+        return error;
+    }
+
+    class VideoProcessingService {
+        /**
+         * @param {string} workerURL - URL ke video-processing-worker.js
+         */
+        constructor(workerURL = 'video-processing-worker.js') {
+            this.workerURL = workerURL;
+            this.worker = null;
+            this.loadOptions = null;
+            this.ready = null;
+            this.pendingLoad = null;
+            this.jobs = new Map();
+            // Job yang sudah dikirim ke worker, sesuai urutan eksekusinya.
+            // Yang pertama bisa saja sudah berjalan sebelum progress pertamanya tiba.
+            this.sentJobIds = [];
+            this.nextJobId = 1;
+            this.terminated = false;
+            this._startWorker();
+        }
+
+        _startWorker() {
+            this.worker = new Worker(this.workerURL);
+            this.worker.onmessage = ({ data }) => this._handleMessage(data);
+        }
+
+        _handleMessage(message) {
+            if (message.type === 'load') {
+                const pending = this.pendingLoad;
+                this.pendingLoad = null;
+                if (!pending) return;
+                if (message.error) pending.reject(new Error(message.error));
+                else pending.resolve();
+                return;
+            }
+
+            const entry = this.jobs.get(message.id);
+            if (!entry) return;
+
+            if (message.type === 'progress') {
+                if (entry.onProgress) entry.onProgress(message.progress);
+            } else if (message.type === 'result') {
+                this.jobs.delete(message.id);
+                this._forgetSentJob(message.id);
+
+                if (message.cancelled) entry.reject(cancelledError());
+                else if (message.error) entry.reject(new Error(message.error));
+                else entry.resolve(new Blob([message.data], { type: message.mimeType }));
+            }
+        }
+
+        _sendLoad() {
+            this.ready = new Promise((resolve, reject) => {
+                this.pendingLoad = { resolve, reject };
+                this.worker.postMessage(Object.assign({ type: 'load' }, this.loadOptions));
+            });
+            return this.ready;
+        }
+
+        async _postJob(job) {
+            try {
+                await this.ready;
+            } catch (error) {
+                this._rejectJob(job.id, error);
+                return;
+            }
+            if (!this.jobs.has(job.id)) return;
+            this.sentJobIds.push(job.id);
+            this.worker.postMessage({ type: 'addJob', job });
+        }
+
+        _forgetSentJob(id) {
+            this.sentJobIds = this.sentJobIds.filter(sentId => sentId !== id);
+        }
+
+        _rejectJob(id, error) {
+            const entry = this.jobs.get(id);
+            if (!entry) return;
+            this.jobs.delete(id);
+            entry.reject(error);
+        }
+
+        /**
+         * Load FFmpeg core ke dalam worker
+         * @param {{coreURL: string, wasmURL: string, workerURL?: string}} options - URL core (UMD atau ESM);
+         *        workerURL hanya untuk core multi-thread
+         * @returns {Promise<void>}
+         */
+        load(options) {
+            if (this.terminated) return Promise.reject(cancelledError());
+            this.loadOptions = options;
+            return this._sendLoad();
+        }
+
+        /**
+         * Tambahkan job FFmpeg ke antrean
+         * @param {Object} job - { inputs: [{name, data}], args, output, mimeType, duration }
+         * @param {Function} onProgress - Callback progress (0..1)
+         * @returns {{id: number, result: Promise<Blob>}} ID job dan hasilnya
+         */
+        addJob({ inputs, args, output, mimeType, duration }, onProgress = null) {
+            const id = this.nextJobId++;
+            const job = { id, inputs, args, output, mimeType, duration };
+
+            const result = new Promise((resolve, reject) => {
+                this.jobs.set(id, { job, onProgress, resolve, reject });
+            });
+
+            this._postJob(job);
+            return { id, result };
+        }
+
+        /**
+         * Batalkan job. Job yang sedang berjalan dihentikan dengan mengganti
+         * worker, lalu core dimuat ulang secara otomatis.
+         * @param {number} id - ID job
+         */
+        cancel(id) {
+            if (!this.jobs.has(id)) return;
+
+            if (id !== this.sentJobIds[0]) {
+                this._forgetSentJob(id);
+                this._rejectJob(id, cancelledError());
+                this.worker.postMessage({ type: 'cancel', id });
+                return;
+            }
+
+            this.worker.terminate();
+            this.sentJobIds = [];
+            this._rejectJob(id, cancelledError());
+
+            this._startWorker();
+            if (this.loadOptions) {
+                this._sendLoad().catch(error => console.error('Gagal memuat ulang FFmpeg:', error));
+            }
+            this.jobs.forEach(({ job }) => this._postJob(job));
+        }
+
+        /**
+         * Hentikan worker dan batalkan semua job serta load yang belum selesai
+         */
+        terminate() {
+            this.terminated = true;
+            this.worker.terminate();
+            if (this.pendingLoad) this.pendingLoad.reject(cancelledError());
+            this.pendingLoad = null;
+            this.jobs.forEach(({ reject }) => reject(cancelledError()));
+            this.jobs.clear();
+        }
+    }
+
+    // Export to global scope
+    global.VideoProcessingService = VideoProcessingService;
+
+})(typeof window !== 'undefined' ? window : this);
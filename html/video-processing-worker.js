@@ -0,0 +1,172 @@
+/**
+ * Video Processing Worker
+ * Menjalankan FFmpeg core di Web Worker agar UI tidak janky saat export.
+ * Dipakai bersama oleh aplikasi React (src/workers/videoProcessingService.js)
+ * dan PhotoFrameApp lama (video-processing-service.js).
+ *
+ * Protokol pesan (semua pesan punya field `type`):
+ *
+ *   main -> worker
+ *     { type: 'load', coreURL, wasmURL, workerURL? }
+ *     { type: 'addJob', job: { id, inputs: [{ name, data }], args, output, mimeType, duration } }
+ *     { type: 'cancel', id }
+ *
+ *   worker -> main
+ *     { type: 'load', error? }
+ *     { type: 'progress', id, progress }          // progress 0..1
+ *     { type: 'result', id, data?, mimeType?, error?, cancelled? }
+ *
+ * `workerURL` hanya untuk core multi-thread (@ffmpeg/core-mt), yang butuh
+ * SharedArrayBuffer sehingga halaman harus cross-origin isolated.
+ * `data` input boleh Blob, ArrayBuffer atau Uint8Array. `duration` (detik)
+ * dipakai untuk menghitung progress dari statistik `time=` FFmpeg.
+ * FFmpeg exec bersifat sinkron, jadi job yang sedang berjalan tidak bisa
+ * menerima `cancel`; client membatalkannya dengan terminate() worker.
+ */
+
+/* global createFFmpegCore, importScripts */
+
+(function() {
+    'use strict';
+
+    // Matches the "time=00:00:12.34" field in FFmpeg's encoding stats
+    const TIME_PATTERN = /time=(\d+):(\d+):(\d+(?:\.\d+)?)/;
+
+    let core = null;
+    let currentJob = null;
+    let isRunning = false;
+    const queue = [];
+
+    const post = (message, transfer = []) => self.postMessage(message, transfer);
+
+    const reportProgress = (progress) => {
+        if (!currentJob) return;
+        post({ type: 'progress', id: currentJob.id, progress: Math.min(1, Math.max(0, progress)) });
+    };
+
+    const handleLog = ({ message }) => {
+        const match = TIME_PATTERN.exec(message);
+        if (!match || !currentJob || !currentJob.duration) return;
+
+        const [, hours, minutes, seconds] = match.map(Number);
+        reportProgress((hours * 3600 + minutes * 60 + seconds) / currentJob.duration);
+    };
+
+    // Core progress is relative to the whole input; only used when the
+    // job didn't say how long its output is
+    const handleCoreProgress = ({ progress }) => {
+        if (currentJob && !currentJob.duration) reportProgress(progress);
+    };
+
+    async function load({ coreURL, wasmURL, workerURL }) {
+        try {
+            // UMD core (classic worker)
+            importScripts(coreURL);
+        } catch {
+            // ESM core
+            self.createFFmpegCore = (await import(/* @vite-ignore */ coreURL)).default;
+        }
+        if (typeof createFFmpegCore !== 'function') {
+            throw new Error('FFmpeg core tidak valid: ' + coreURL);
+        }
+
+        core = await createFFmpegCore({
+            // Same locateFile hack as @ffmpeg/ffmpeg uses for the wasm URL
+            // and, for the multi-threaded core, the pthread worker URL
+            mainScriptUrlOrBlob: `${coreURL}#${btoa(JSON.stringify({ wasmURL, workerURL }))}`
+        });
+        core.setLogger(handleLog);
+        core.setProgress(handleCoreProgress);
+    }
+
+    async function toBytes(data) {
+        if (data instanceof Blob) return new Uint8Array(await data.arrayBuffer());
+        if (data instanceof Uint8Array) return data;
+        return new Uint8Array(data);
+    }
+
+    function removeFile(name) {
+        try {
+            core.FS.unlink(name);
+        } catch {
+            // Never written or already gone
+        }
+    }
+
+    async function runJob(job) {
+        currentJob = job;
+        reportProgress(0);
+
+        try {
+            for (const input of job.inputs) {
+                core.FS.writeFile(input.name, await toBytes(input.data));
+            }
+
+            core.setTimeout(-1);
+            core.exec(...job.args);
+            const exitCode = core.ret;
+            core.reset();
+            if (exitCode !== 0) {
+                throw new Error(`FFmpeg berhenti dengan kode ${exitCode}`);
+            }
+
+            const data = core.FS.readFile(job.output);
+            reportProgress(1);
+            post({ type: 'result', id: job.id, data: data.buffer, mimeType: job.mimeType }, [data.buffer]);
+        } catch (error) {
+            post({ type: 'result', id: job.id, error: error.message || String(error) });
+        } finally {
+            // Keep the virtual FS empty between jobs
+            job.inputs.forEach(input => removeFile(input.name));
+            removeFile(job.output);
+            currentJob = null;
+        }
+    }
+
+    async function processQueue() {
+        if (isRunning) return;
+        isRunning = true;
+
+        while (queue.length > 0) {
+            await runJob(queue.shift());
+            // Let cancel messages that arrived during exec() land first
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        isRunning = false;
+    }
+
+    self.onmessage = async ({ data: message }) => {
+        switch (message.type) {
+            case 'load':
+                try {
+                    await load(message);
+                    post({ type: 'load' });
+                } catch (error) {
+                    post({ type: 'load', error: error.message || String(error) });
+                }
+                break;
+
+            case 'addJob':
+                if (!core) {
+                    post({ type: 'result', id: message.job.id, error: 'FFmpeg belum dimuat' });
+                    break;
+                }
+                queue.push(message.job);
+                processQueue();
+                break;
+
+            case 'cancel': {
+                const index = queue.findIndex(job => job.id === message.id);
+                if (index >= 0) {
+                    queue.splice(index, 1);
+                    post({ type: 'result', id: message.id, cancelled: true });
+                }
+                break;
+            }
+
+            default:
+                console.warn('[VideoProcessingWorker] Pesan tidak dikenal:', message.type);
+        }
+    };
+})();
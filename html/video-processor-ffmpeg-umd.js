@@ -2,6 +2,7 @@
  * FFmpeg.js Video Processor - UMD Version for Browser Compatibility
  * Mengatasi masalah lag video dan progress bar yang tidak berfungsi
  * Menggunakan FFmpeg.js untuk processing berkualitas tinggi
+ * FFmpeg berjalan di Web Worker melalui VideoProcessingService
  */
 
 (function(global) {
@@ -9,12 +10,12 @@
 
     class FFmpegVideoProcessor {
         constructor() {
-            this.ffmpeg = null;
+            this.service = null;
             this.isLoaded = false;
             this.isProcessing = false;
             this.frameImage = null;
             this.loadingPromise = null;
-            this.currentProgressCallback = null;
+            this.currentJob = null;
         }
         
         /**
@@ -37,32 +38,20 @@
             try {
                 console.log('Loading FFmpeg.js...');
                 
-                // Check if FFmpeg is available globally
-                if (typeof FFmpeg === 'undefined') {
-                    throw new Error('FFmpeg not found. Make sure to load @ffmpeg/ffmpeg before this script.');
+                // Check if the worker client is available globally
+                if (typeof VideoProcessingService === 'undefined') {
+                    throw new Error('VideoProcessingService not found. Make sure to load video-processing-service.js before this script.');
                 }
                 
-                this.ffmpeg = new FFmpeg.FFmpeg();
-                
-                // Setup logging for debugging
-                this.ffmpeg.on('log', ({ message }) => {
-                    console.log('[FFmpeg]:', message);
-                });
-                
-                // Setup progress tracking
-                this.ffmpeg.on('progress', ({ progress, time }) => {
-                    console.log(`[FFmpeg Progress]: ${Math.round(progress * 100)}% (time: ${time}s)`);
-                    if (this.currentProgressCallback) {
-                        this.currentProgressCallback(progress);
-                    }
-                });
+                // FFmpeg runs in a Web Worker so the UI stays responsive
+                this.service = new VideoProcessingService('video-processing-worker.js');
                 
                 // Load FFmpeg core from CDN with proper URLs
                 const baseURL = 'https://unpkg.com/@ffmpeg/core@0.12.6/dist/umd';
                 const coreURL = await FFmpegUtil.toBlobURL(`${baseURL}/ffmpeg-core.js`, 'text/javascript');
                 const wasmURL = await FFmpegUtil.toBlobURL(`${baseURL}/ffmpeg-core.wasm`, 'application/wasm');
                 
-                await this.ffmpeg.load({
+                await this.service.load({
                     coreURL,
                     wasmURL,
                 });
@@ -113,7 +102,6 @@
             }
             
             this.isProcessing = true;
-            this.currentProgressCallback = onProgress;
             
             try {
                 console.log('Starting FFmpeg video processing...');
@@ -127,29 +115,33 @@
                 const frameImage = 'frame.png';
                 const outputVideo = `output.${outputFormat}`;
                 
-                // Write input files to FFmpeg filesystem
-                console.log('Writing input files to FFmpeg filesystem...');
-                await this.ffmpeg.writeFile(inputVideo, await FFmpegUtil.fetchFile(videoBlob));
-                
+                // Input files are written to the worker's FFmpeg filesystem
+                const inputs = [{ name: inputVideo, data: videoBlob }];
                 if (this.frameImage) {
-                    await this.ffmpeg.writeFile(frameImage, await FFmpegUtil.fetchFile(this.frameImage));
+                    inputs.push({ name: frameImage, data: this.frameImage });
                 }
                 
                 // Build FFmpeg command for high-quality processing
                 const ffmpegArgs = this._buildFFmpegCommand(inputVideo, frameImage, outputVideo, outputFormat);
                 console.log('FFmpeg command:', ffmpegArgs.join(' '));
                 
-                // Execute FFmpeg processing
+                // Execute FFmpeg processing in the worker
                 console.log('Executing FFmpeg processing...');
-                await this.ffmpeg.exec(ffmpegArgs);
-                
-                // Read processed video
-                console.log('Reading processed video...');
-                const outputData = await this.ffmpeg.readFile(outputVideo);
-                
-                // Create blob with correct MIME type
                 const mimeType = outputFormat === 'mp4' ? 'video/mp4' : 'video/webm';
-                const processedBlob = new Blob([outputData], { type: mimeType });
+                this.currentJob = this.service.addJob({
+                    inputs,
+                    args: ffmpegArgs,
+                    output: outputVideo,
+                    mimeType,
+                    duration: videoElement.duration
+                }, (progress) => {
+                    console.log(`[FFmpeg Progress]: ${Math.round(progress * 100)}%`);
+                    if (onProgress) {
+                        onProgress(progress);
+                    }
+                });
+                
+                const processedBlob = await this.currentJob.result;
                 
                 console.log('FFmpeg video processing completed successfully:', processedBlob.size, 'bytes');
                 
@@ -165,7 +157,7 @@
                 throw error;
             } finally {
                 this.isProcessing = false;
-                this.currentProgressCallback = null;
+                this.currentJob = null;
             }
         }
         
@@ -392,12 +384,22 @@
             return this.isProcessing;
         }
         
+        /**
+         * Cancel the video currently being processed. The worker reloads
+         * FFmpeg by itself, so the processor stays ready.
+         */
+        cancel() {
+            if (this.currentJob && this.service) {
+                this.service.cancel(this.currentJob.id);
+            }
+        }
+        
         /**
          * Terminate FFmpeg (cleanup)
          */
         terminate() {
-            if (this.isLoaded && this.ffmpeg) {
-                this.ffmpeg.terminate();
+            if (this.isLoaded && this.service) {
+                this.service.terminate();
                 this.isLoaded = false;
             }
         }
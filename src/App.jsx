@@ -1,33 +1,176 @@
-import { useState } from 'react'
-import { Camera, Upload, Download, RotateCcw, Image as ImageIcon, Video } from 'lucide-react'
+import { useEffect, useMemo, useState } from 'react'
+import { Camera, Upload, Download, RotateCcw, Image as ImageIcon, Video, AlertCircle } from 'lucide-react'
 import PhotoEditor from './components/PhotoEditor'
 import VideoEditor from './components/VideoEditor'
+import BoomerangEditor from './components/BoomerangEditor'
+import BatchEditor from './components/BatchEditor'
 import FileUpload from './components/FileUpload'
 import CameraCapture from './components/CameraCapture'
+import PendingUploads from './components/PendingUploads'
+import { DEFAULT_FRAME, FRAMES } from './frames/catalog'
+import { releaseCachedFrames, resolveCachedFrames } from './frames/frameCache'
+import { usePendingUploads } from './hooks/usePendingUploads'
+import { readImageFile } from './utils/mediaIngest'
+import { DRIVE_FOLDER_URL } from './pwa/uploadQueue'
 
 function App() {
   const [selectedFile, setSelectedFile] = useState(null)
   const [fileType, setFileType] = useState(null)
+  const [mediaInfo, setMediaInfo] = useState(null)
+  // Photobooth shots, one per slot of the selected template
+  const [slotImages, setSlotImages] = useState(null)
+  const [boomerangShots, setBoomerangShots] = useState(null)
+  // Photos for batch mode, as uploaded Files
+  const [batchFiles, setBatchFiles] = useState(null)
+  // Why the last set of uploaded photos couldn't be opened
+  const [uploadError, setUploadError] = useState(null)
   const [showCamera, setShowCamera] = useState(false)
   const [editMode, setEditMode] = useState(false)
+  const [selectedFrame, setSelectedFrame] = useState(DEFAULT_FRAME)
+  const [customFrame, setCustomFrame] = useState(null)
+  const [catalog, setCatalog] = useState(FRAMES)
+  const { uploads, offline } = usePendingUploads()
 
-  const handleFileSelect = (file, type) => {
+  // Serve the frame PNGs from Cache Storage so they load without network
+  // on repeat visits
+  useEffect(() => {
+    let resolvedFrames = null
+    let cancelled = false
+
+    resolveCachedFrames(FRAMES).then(resolved => {
+      if (cancelled) {
+        releaseCachedFrames(resolved)
+        return
+      }
+      resolvedFrames = resolved
+      setCatalog(resolved)
+    })
+
+    return () => {
+      cancelled = true
+      if (resolvedFrames) releaseCachedFrames(resolvedFrames)
+    }
+  }, [])
+
+  // The cached copy of the selected frame is swapped in only while no
+  // editor is open: a new frame object would make the editor reload and
+  // lose the guest's adjustments
+  useEffect(() => {
+    if (editMode) return
+    setSelectedFrame(prev => catalog.find(frame => frame.id === prev.id) || prev)
+  }, [catalog, editMode])
+
+  // Uploaded videos and recordings are blob: URLs holding the whole file;
+  // free each one once it is replaced or the editor is closed
+  useEffect(() => () => {
+    if (selectedFile?.startsWith('blob:')) URL.revokeObjectURL(selectedFile)
+  }, [selectedFile])
+
+  // Stable between renders so the editors' frame lists can be memoized
+  const frames = useMemo(() => (customFrame ? [...catalog, customFrame] : catalog), [catalog, customFrame])
+
+  const handleFrameChange = (frame) => {
+    // A newly uploaded custom frame replaces the previous one
+    if (frame.custom && frame !== customFrame) {
+      if (customFrame) URL.revokeObjectURL(customFrame.src)
+      setCustomFrame(frame)
+    }
+    setSelectedFrame(frame)
+  }
+
+  const handleFileSelect = (file, type, info = null) => {
+    setUploadError(null)
     setSelectedFile(file)
+    setSlotImages(null)
     setFileType(type)
+    setMediaInfo(info)
+    setEditMode(true)
+    setShowCamera(false)
+  }
+
+  // Several photos fill the slots of a collage frame in order when they
+  // fit; anything more goes to batch mode, one result per photo
+  const handleImagesSelect = async (files) => {
+    setUploadError(null)
+    if (!selectedFrame.slots || files.length > selectedFrame.slots.length) {
+      // Batch mode reads batchFiles, not selectedFile
+      setSelectedFile(null)
+      setSlotImages(null)
+      setBatchFiles(files)
+      setFileType('batch')
+      setMediaInfo(null)
+      setEditMode(true)
+      setShowCamera(false)
+      return
+    }
+
+    let media
+    try {
+      media = await Promise.all(files.map(readImageFile))
+    } catch (error) {
+      console.error('Reading photos failed:', error)
+      setUploadError('Foto tidak bisa dibaca. Coba pilih ulang fotonya.')
+      return
+    }
+    setSelectedFile(media[0].src)
+    setSlotImages(media.map(item => item.src))
+    setFileType('image')
+    setMediaInfo(media[0].info)
     setEditMode(true)
     setShowCamera(false)
   }
 
   const handleCameraCapture = (imageSrc) => {
     setSelectedFile(imageSrc)
+    setSlotImages(null)
     setFileType('image')
+    // Already cropped to the frame, see CameraCapture
+    setMediaInfo({ capturedAt: new Date(), framedCapture: true })
+    setEditMode(true)
+    setShowCamera(false)
+  }
+
+  // Recordings are framed live the same way, but not cropped
+  const handleCameraRecord = (blob, duration) => {
+    setSelectedFile(URL.createObjectURL(blob))
+    setSlotImages(null)
+    setFileType('video')
+    setMediaInfo({ capturedAt: new Date(), framedCapture: true, duration })
+    setEditMode(true)
+    setShowCamera(false)
+  }
+
+  // Each shot is already cropped to its slot; the template adds the
+  // couple's names and the date
+  const handlePhotoboothCapture = (shots, template) => {
+    setSelectedFrame(template)
+    setSelectedFile(shots[0])
+    setSlotImages(shots)
+    setFileType('image')
+    setMediaInfo({ capturedAt: new Date() })
+    setEditMode(true)
+    setShowCamera(false)
+  }
+
+  // A burst for an animated GIF or boomerang; fileType 'boomerang'
+  const handleBoomerangCapture = (shots) => {
+    setSelectedFile(shots[0])
+    setSlotImages(null)
+    setBoomerangShots(shots)
+    setFileType('boomerang')
+    setMediaInfo({ capturedAt: new Date(), framedCapture: true })
     setEditMode(true)
     setShowCamera(false)
   }
 
   const resetApp = () => {
     setSelectedFile(null)
+    setSlotImages(null)
+    setBoomerangShots(null)
+    setBatchFiles(null)
+    setUploadError(null)
     setFileType(null)
+    setMediaInfo(null)
     setEditMode(false)
     setShowCamera(false)
   }
@@ -55,7 +198,14 @@ function App() {
             </p>
             
             <div className="grid gap-5">
-              <FileUpload onFileSelect={handleFileSelect} />
+              <FileUpload onFileSelect={handleFileSelect} onImagesSelect={handleImagesSelect} />
+
+              {uploadError && (
+                <div className="bg-red-50 border border-red-200 rounded-lg p-3 flex items-center gap-2 text-red-700 text-sm text-left">
+                  <AlertCircle size={16} className="shrink-0" />
+                  {uploadError}
+                </div>
+              )}
               
               <button 
                 className="btn-secondary"
@@ -65,12 +215,15 @@ function App() {
                 Ambil Foto
               </button>
               <button 
-                className="btn-secondary"
-                onClick={() => window.open('https://drive.google.com/drive/folders/1U7lg3U5U_oxqkrN48tZ0IudGTQQz6xpO', '_blank')}
+                className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+                onClick={() => window.open(DRIVE_FOLDER_URL, '_blank')}
+                disabled={offline}
               >
                 <Upload size={24} />
-                Upload hasil ke drive
+                {offline ? 'Upload ke drive (offline)' : 'Upload hasil ke drive'}
               </button>
+
+              <PendingUploads uploads={uploads} offline={offline} />
             </div>
 
             <div className="grid grid-cols-1 sm:grid-cols-3 gap-6 pt-8 border-t border-gray-200">
@@ -100,13 +253,19 @@ function App() {
       {showCamera && (
         <div className="flex-1 p-4">
           <CameraCapture 
+            frame={selectedFrame}
+            frames={frames}
+            onFrameChange={handleFrameChange}
             onCapture={handleCameraCapture}
+            onRecord={handleCameraRecord}
+            onPhotobooth={handlePhotoboothCapture}
+            onBoomerang={handleBoomerangCapture}
             onCancel={() => setShowCamera(false)}
           />
         </div>
       )}
 
-      {editMode && selectedFile && (
+      {editMode && (selectedFile || fileType === 'batch') && (
         <div className="flex-1 p-4">
           <div className="mb-4">
             <button 
@@ -121,11 +280,35 @@ function App() {
           {fileType === 'image' ? (
             <PhotoEditor 
               imageSrc={selectedFile}
+              imageSources={slotImages}
+              mediaInfo={mediaInfo}
+              frames={frames}
+              frame={selectedFrame}
+              onFrameChange={handleFrameChange}
               onReset={resetApp}
             />
+          ) : fileType === 'batch' ? (
+            <BatchEditor
+              files={batchFiles}
+              frames={frames}
+              frame={selectedFrame}
+              onFrameChange={handleFrameChange}
+            />
+          ) : fileType === 'boomerang' ? (
+            <BoomerangEditor
+              shots={boomerangShots}
+              mediaInfo={mediaInfo}
+              frames={frames}
+              frame={selectedFrame}
+              onFrameChange={handleFrameChange}
+            />
           ) : (
             <VideoEditor 
               videoSrc={selectedFile}
+              mediaInfo={mediaInfo}
+              frames={frames}
+              frame={selectedFrame}
+              onFrameChange={handleFrameChange}
               onReset={resetApp}
             />
           )}
@@ -0,0 +1,5 @@
+import { createRoot } from 'react-dom/client'
+import CoreBenchmark from './components/CoreBenchmark.jsx'
+import './index.css'
+
+createRoot(document.getElementById('root')).render(<CoreBenchmark />)
@@ -0,0 +1,375 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import PropTypes from 'prop-types'
+import { Download, Settings, X, AlertCircle, SlidersHorizontal } from 'lucide-react'
+import FramePicker from './FramePicker'
+import FitModePicker from './FitModePicker'
+import BatchItemEditor from './BatchItemEditor'
+import { canvasToBlob, downloadBlob, loadImage } from '../utils/image'
+import { writeExif } from '../utils/exif'
+import { fitInRect } from '../utils/fit'
+import { DEFAULT_FILL_COLOR, DEFAULT_FIT_MODE } from '../utils/fitModes'
+import { drawPhotoComposite } from '../utils/photoComposite'
+import { createZip } from '../utils/zip'
+import { createTaskQueue, getBatchFileName, prepareBatchPhoto } from '../utils/batch'
+import { getPrimaryWindow } from '../frames/frameWindows'
+import { queueUploadIfOffline } from '../pwa/uploadQueue'
+import { batchItemShape, compositeLayoutShape, frameShape, transformShape } from '../utils/propTypes'
+
+const THUMBNAIL_FACTOR = 0.2
+const EXPORT_QUALITY = 0.92
+const EVENT_TAG = 'Pernikahan Hanum & Riduwan'
+
+// One grid tile, drawn through the shared queue so only a couple of photos
+// are decoded at a time
+function BatchThumbnail({ item, index, layout, position, adjusted, enqueue, onSelect, disabled }) {
+  const canvasRef = useRef(null)
+
+  useEffect(() => {
+    if (!item.url || !layout || !position) return
+    let cancelled = false
+
+    enqueue(async () => {
+      if (cancelled) return
+      const image = await loadImage(item.url)
+      const canvas = canvasRef.current
+      if (cancelled || !canvas) return
+      drawPhotoComposite(canvas.getContext('2d'), {
+        ...layout,
+        images: [image],
+        positions: [position],
+        date: item.capturedAt || new Date()
+      }, THUMBNAIL_FACTOR)
+    }).catch(error => console.error('Failed to draw thumbnail:', error))
+
+    return () => {
+      cancelled = true
+    }
+  }, [item.url, item.capturedAt, layout, position, enqueue])
+
+  return (
+    <button
+      className="group text-left disabled:cursor-not-allowed"
+      onClick={onSelect}
+      disabled={disabled || item.status !== 'ready'}
+      title={item.name}
+    >
+      <div className="relative rounded-lg overflow-hidden border-2 border-gray-200 group-hover:border-primary-300 bg-gray-100 transition-all duration-300">
+        {layout && (
+          <canvas
+            ref={canvasRef}
+            width={Math.round(layout.width * THUMBNAIL_FACTOR)}
+            height={Math.round(layout.height * THUMBNAIL_FACTOR)}
+            className="block w-full h-auto"
+          />
+        )}
+        {item.status === 'pending' && (
+          <div className="absolute inset-0 bg-white/80 flex items-center justify-center">
+            <div className="w-6 h-6 border-2 border-gray-300 border-t-primary-500 rounded-full animate-spin"></div>
+          </div>
+        )}
+        {item.status === 'error' && (
+          <div className="absolute inset-0 bg-red-50/90 flex flex-col items-center justify-center gap-1 text-red-600 text-xs font-medium p-2 text-center">
+            <AlertCircle size={18} />
+            Gagal dibaca
+          </div>
+        )}
+        {adjusted && (
+          <span className="absolute top-1 right-1 bg-primary-500 text-white text-[10px] font-medium px-1.5 py-0.5 rounded">
+            Diatur
+          </span>
+        )}
+      </div>
+      <p className="text-xs text-gray-600 mt-1 truncate">
+        {index + 1}. {item.name}
+      </p>
+    </button>
+  )
+}
+
+BatchThumbnail.propTypes = {
+  item: batchItemShape.isRequired,
+  index: PropTypes.number.isRequired,
+  layout: compositeLayoutShape,
+  position: transformShape,
+  adjusted: PropTypes.bool,
+  enqueue: PropTypes.func.isRequired,
+  onSelect: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+}
+
+// Applies one frame to many photos at once. Every photo starts with the
+// fit PhotoEditor's reset uses; any of them can be opened and adjusted, and
+// everything is downloaded as a single ZIP.
+function BatchEditor({ files, frames, frame, onFrameChange }) {
+  const [items, setItems] = useState(() => files.map((file, index) => ({ id: index, name: file.name, status: 'pending' })))
+  // Transforms set by hand, by item id; everything else is fitted
+  const [overrides, setOverrides] = useState({})
+  const [fitMode, setFitMode] = useState(DEFAULT_FIT_MODE)
+  const [fillColor, setFillColor] = useState(DEFAULT_FILL_COLOR)
+  const [frameLayout, setFrameLayout] = useState(null)
+  const [editingId, setEditingId] = useState(null)
+  const [isExporting, setIsExporting] = useState(false)
+  const [exportProgress, setExportProgress] = useState(0)
+  const cancelExportRef = useRef(false)
+  const [enqueue] = useState(() => createTaskQueue(2))
+
+  // Batches use a single window, so collage templates aren't offered
+  const singleFrames = useMemo(() => frames.filter(candidate => !candidate.slots), [frames])
+
+  useEffect(() => {
+    if (frame.slots && singleFrames.length) onFrameChange(singleFrames[0])
+  }, [frame.slots, singleFrames, onFrameChange])
+
+  // Working copies, in upload order
+  useEffect(() => {
+    let cancelled = false
+    const urls = []
+    const updateItem = (index, update) => {
+      setItems(prev => prev.map(item => (item.id === index ? { ...item, ...update } : item)))
+    }
+
+    files.forEach((file, index) => {
+      enqueue(async () => {
+        if (cancelled) return
+        try {
+          const photo = await prepareBatchPhoto(file)
+          urls.push(photo.url)
+          if (!cancelled) updateItem(index, { status: 'ready', ...photo })
+        } catch (error) {
+          console.error(`Failed to read ${file.name}:`, error)
+          if (!cancelled) updateItem(index, { status: 'error' })
+        }
+      })
+    })
+
+    return () => {
+      cancelled = true
+      urls.forEach(url => URL.revokeObjectURL(url))
+    }
+  }, [files, enqueue])
+
+  // A different frame has a different window, so hand adjustments reset
+  useEffect(() => {
+    let cancelled = false
+    setFrameLayout(null)
+    setOverrides({})
+
+    loadImage(frame.src)
+      .then(frameImg => {
+        if (cancelled) return
+        setFrameLayout({ frameImg, window: getPrimaryWindow(frameImg, frame.width, frame.height) })
+      })
+      .catch(error => console.error('Failed to load frame image:', error))
+
+    return () => {
+      cancelled = true
+    }
+  }, [frame.src, frame.width, frame.height])
+
+  const layout = useMemo(() => frameLayout && {
+    width: frame.width,
+    height: frame.height,
+    slots: [frameLayout.window],
+    frameImg: frameLayout.frameImg,
+    fitMode,
+    fillColor,
+    caption: frame.caption
+  }, [frameLayout, frame.width, frame.height, frame.caption, fitMode, fillColor])
+
+  const positions = useMemo(() => {
+    if (!frameLayout) return {}
+    return Object.fromEntries(items
+      .filter(item => item.status === 'ready')
+      .map(item => [item.id, overrides[item.id] || fitInRect(fitMode, item.width, item.height, frameLayout.window)]))
+  }, [items, overrides, fitMode, frameLayout])
+
+  // Like PhotoEditor: switching between cover and the letterboxing modes
+  // refits every photo; changing only the background keeps adjustments
+  const handleFitModeChange = (mode) => {
+    if ((mode === 'cover') !== (fitMode === 'cover')) setOverrides({})
+    setFitMode(mode)
+  }
+
+  const readyItems = items.filter(item => item.status === 'ready')
+  const pendingCount = items.filter(item => item.status === 'pending').length
+  const failedCount = items.filter(item => item.status === 'error').length
+  const editingItem = items.find(item => item.id === editingId)
+
+  const exportZip = async () => {
+    cancelExportRef.current = false
+    setIsExporting(true)
+    setExportProgress(0)
+
+    try {
+      const canvas = document.createElement('canvas')
+      canvas.width = frame.width
+      canvas.height = frame.height
+      const ctx = canvas.getContext('2d')
+      const entries = []
+
+      for (const [index, item] of readyItems.entries()) {
+        if (cancelExportRef.current) return
+        const image = await loadImage(item.url)
+        const date = item.capturedAt || new Date()
+        drawPhotoComposite(ctx, { ...layout, images: [image], positions: [positions[item.id]], date })
+
+        const jpeg = await canvasToBlob(canvas, 'image/jpeg', EXPORT_QUALITY)
+        const blob = await writeExif(jpeg, { dateTaken: date, eventTag: EVENT_TAG, make: item.make, model: item.model })
+        // Numbered like the grid, so a photo that failed to load leaves a gap
+        entries.push({ name: getBatchFileName(frame, item.id, items.length), blob, date })
+        setExportProgress(index + 1)
+      }
+      if (cancelExportRef.current) return
+
+      const zip = await createZip(entries)
+      const filename = `hanum-riduwan-wedding-${frame.id}-${entries.length}-foto-${Date.now()}.zip`
+      downloadBlob(zip, filename)
+      queueUploadIfOffline(zip, filename)
+    } catch (err) {
+      console.error('Error exporting batch:', err)
+      alert('Terjadi kesalahan saat membuat ZIP: ' + err.message)
+    } finally {
+      setIsExporting(false)
+      setExportProgress(0)
+    }
+  }
+
+  const saveAdjustment = (transform) => {
+    setOverrides(prev => ({ ...prev, [editingId]: transform }))
+    setEditingId(null)
+  }
+
+  const progressPercent = readyItems.length ? Math.round((exportProgress / readyItems.length) * 100) : 0
+
+  return (
+    <div className="card p-6 md:p-8 max-w-7xl mx-auto">
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        <div className="lg:col-span-3">
+          <div className="bg-gray-100 rounded-xl p-4">
+            <div className="grid grid-cols-3 sm:grid-cols-4 md:grid-cols-6 gap-3">
+              {items.map((item, index) => (
+                <BatchThumbnail
+                  key={item.id}
+                  item={item}
+                  index={index}
+                  layout={layout}
+                  position={positions[item.id]}
+                  adjusted={Boolean(overrides[item.id])}
+                  enqueue={enqueue}
+                  onSelect={() => setEditingId(item.id)}
+                  disabled={isExporting || !layout}
+                />
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <div className="lg:col-span-1">
+          <div className="bg-gray-50 rounded-xl p-6 h-fit space-y-6">
+            <div>
+              <h4 className="text-lg font-semibold text-gray-800 mb-3">Banyak Foto</h4>
+              <p className="text-gray-600 text-sm leading-relaxed">
+                Frame diterapkan otomatis ke {items.length} foto. Klik foto untuk mengatur posisinya.
+              </p>
+            </div>
+
+            <FramePicker
+              frames={singleFrames}
+              selectedFrame={frame}
+              onSelect={onFrameChange}
+              disabled={isExporting}
+            />
+
+            <FitModePicker
+              fitMode={fitMode}
+              fillColor={fillColor}
+              onFitModeChange={handleFitModeChange}
+              onFillColorChange={setFillColor}
+              disabled={isExporting}
+            />
+
+            <div>
+              <h4 className="text-lg font-semibold text-gray-800 mb-3">Status</h4>
+              <div className="space-y-2 text-sm text-gray-600">
+                <div className="flex items-start gap-2">
+                  <span className={`mt-0.5 ${pendingCount ? 'text-yellow-500' : 'text-green-500'}`}>•</span>
+                  <span>
+                    {pendingCount ? `Menyiapkan ${items.length - pendingCount} / ${items.length} foto...` : `${readyItems.length} foto siap`}
+                  </span>
+                </div>
+                {failedCount > 0 && (
+                  <div className="flex items-start gap-2">
+                    <span className="text-red-500 mt-0.5">•</span>
+                    <span>{failedCount} foto gagal dibaca dan tidak ikut di ZIP</span>
+                  </div>
+                )}
+                <div className="flex items-start gap-2">
+                  <SlidersHorizontal size={14} className="text-primary-500 mt-0.5 shrink-0" />
+                  <span>{Object.keys(overrides).length} foto diatur manual</span>
+                </div>
+                <div className="flex items-start gap-2">
+                  <span className="text-primary-500 mt-0.5">•</span>
+                  <span>Nama file: {getBatchFileName(frame, 0, items.length)}, ...</span>
+                </div>
+              </div>
+            </div>
+
+            {isExporting && (
+              <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+                <div className="flex items-center gap-3 mb-2">
+                  <Settings className="animate-spin text-blue-600" size={16} />
+                  <span className="text-blue-800 font-medium">Membuat ZIP...</span>
+                </div>
+                <div className="w-full bg-blue-200 rounded-full h-2">
+                  <div
+                    className="bg-blue-600 h-2 rounded-full transition-all duration-300"
+                    style={{ width: `${progressPercent}%` }}
+                  ></div>
+                </div>
+                <div className="flex items-center justify-between mt-1">
+                  <p className="text-blue-700 text-xs">{exportProgress} / {readyItems.length} foto</p>
+                  <button
+                    className="flex items-center gap-1 text-xs font-medium text-red-600 hover:text-red-700"
+                    onClick={() => { cancelExportRef.current = true }}
+                  >
+                    <X size={14} />
+                    Batalkan
+                  </button>
+                </div>
+              </div>
+            )}
+
+            <button
+              className="btn-primary w-full text-lg py-4 disabled:opacity-50 disabled:cursor-not-allowed"
+              onClick={exportZip}
+              disabled={isExporting || pendingCount > 0 || readyItems.length === 0 || !layout}
+            >
+              <Download size={20} />
+              {pendingCount > 0 ? 'Menyiapkan foto...' : `Download ZIP (${readyItems.length} foto)`}
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {editingItem && layout && (
+        <BatchItemEditor
+          item={editingItem}
+          layout={layout}
+          position={positions[editingItem.id]}
+          fitMode={fitMode}
+          onSave={saveAdjustment}
+          onClose={() => setEditingId(null)}
+        />
+      )}
+    </div>
+  )
+}
+
+BatchEditor.propTypes = {
+  files: PropTypes.arrayOf(PropTypes.instanceOf(File)).isRequired,
+  frames: PropTypes.arrayOf(frameShape).isRequired,
+  frame: frameShape.isRequired,
+  onFrameChange: PropTypes.func.isRequired
+}
+
+export default BatchEditor
@@ -0,0 +1,141 @@
+import { useEffect, useRef, useState } from 'react'
+import PropTypes from 'prop-types'
+import { Check, RotateCcw, X, ZoomIn, ZoomOut, Move } from 'lucide-react'
+import { loadImage } from '../utils/image'
+import { fitInRect } from '../utils/fit'
+import { drawPhotoComposite } from '../utils/photoComposite'
+import { clampScale } from '../utils/transform'
+import { usePointerTransform } from '../hooks/usePointerTransform'
+import { batchItemShape, compositeLayoutShape, transformShape } from '../utils/propTypes'
+
+// Dialog for fine-tuning one photo of a batch with the same gestures as
+// PhotoEditor. `onSave(transform)` keeps the adjustment for the export.
+function BatchItemEditor({ item, layout, position, fitMode, onSave, onClose }) {
+  const canvasRef = useRef(null)
+  const imageRef = useRef(null)
+  const [transform, setTransform] = useState(position)
+  const [isLoaded, setIsLoaded] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    loadImage(item.url)
+      .then(img => {
+        imageRef.current = img
+        setIsLoaded(true)
+      })
+      .catch(err => {
+        console.error('Error loading batch photo:', err)
+        setError('Gagal memuat foto.')
+      })
+  }, [item.url])
+
+  useEffect(() => {
+    const canvas = canvasRef.current
+    if (!isLoaded || !canvas) return
+
+    drawPhotoComposite(canvas.getContext('2d'), {
+      ...layout,
+      images: [imageRef.current],
+      positions: [transform],
+      date: item.capturedAt || new Date()
+    })
+  }, [isLoaded, transform, layout, item.capturedAt])
+
+  usePointerTransform({
+    canvasRef,
+    width: layout.width,
+    height: layout.height,
+    onStart: () => (isLoaded ? transform : null),
+    onChange: setTransform
+  })
+
+  const zoom = (factor) => {
+    setTransform(prev => ({ ...prev, scale: clampScale(prev.scale * factor) }))
+  }
+
+  // Same fit as PhotoEditor's reset
+  const resetImage = () => {
+    setTransform(fitInRect(fitMode, item.width, item.height, layout.slots[0]))
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="card p-6 w-full max-w-lg max-h-full overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-bold text-gray-800 truncate" title={item.name}>Atur {item.name}</h3>
+          <button
+            className="w-9 h-9 shrink-0 bg-gray-100 hover:bg-gray-200 text-gray-600 rounded-full flex items-center justify-center transition-all duration-300"
+            onClick={onClose}
+          >
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="bg-gray-100 rounded-xl p-3 flex justify-center mb-4">
+          {error ? (
+            <p className="text-red-600 py-12">{error}</p>
+          ) : (
+            <canvas
+              ref={canvasRef}
+              width={layout.width}
+              height={layout.height}
+              className="block max-w-full max-h-[55vh] rounded-lg shadow-lg bg-white cursor-move touch-none select-none"
+            />
+          )}
+        </div>
+
+        <div className="flex items-center gap-2 text-sm text-gray-600 mb-4">
+          <Move size={16} className="text-primary-500 shrink-0" />
+          <span>Geser foto atau cubit/scroll untuk zoom.</span>
+        </div>
+
+        <div className="grid grid-cols-3 gap-2 mb-4">
+          <button
+            className="glass border border-gray-200 hover:bg-white/50 px-3 py-2 rounded-lg transition-all duration-300 flex items-center justify-center gap-2 text-gray-700 text-sm disabled:opacity-50"
+            onClick={() => zoom(1.1)}
+            disabled={!isLoaded}
+          >
+            <ZoomIn size={16} />
+            Zoom In
+          </button>
+          <button
+            className="glass border border-gray-200 hover:bg-white/50 px-3 py-2 rounded-lg transition-all duration-300 flex items-center justify-center gap-2 text-gray-700 text-sm disabled:opacity-50"
+            onClick={() => zoom(0.9)}
+            disabled={!isLoaded}
+          >
+            <ZoomOut size={16} />
+            Zoom Out
+          </button>
+          <button
+            className="glass border border-gray-200 hover:bg-white/50 px-3 py-2 rounded-lg transition-all duration-300 flex items-center justify-center gap-2 text-gray-700 text-sm disabled:opacity-50"
+            onClick={resetImage}
+            disabled={!isLoaded}
+          >
+            <RotateCcw size={16} />
+            Reset
+          </button>
+        </div>
+
+        <button
+          className="btn-primary w-full disabled:opacity-50 disabled:cursor-not-allowed"
+          onClick={() => onSave(transform)}
+          disabled={!isLoaded}
+        >
+          <Check size={20} />
+          Simpan Posisi
+        </button>
+      </div>
+    </div>
+  )
+}
+
+BatchItemEditor.propTypes = {
+  item: batchItemShape.isRequired,
+  layout: compositeLayoutShape.isRequired,
+  position: transformShape.isRequired,
+  fitMode: PropTypes.string.isRequired,
+  onSave: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+export default BatchItemEditor
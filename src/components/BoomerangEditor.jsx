@@ -0,0 +1,336 @@
+import { useEffect, useRef, useState } from 'react'
+import PropTypes from 'prop-types'
+import { Download, Settings, X, Repeat } from 'lucide-react'
+import FramePicker from './FramePicker'
+import OptionGroup from './OptionGroup'
+import { canvasToBlob, downloadBlob, loadImage } from '../utils/image'
+import { formatBytes, formatDateTime } from '../utils/format'
+import {
+  ANIMATION_FORMATS,
+  ANIMATION_FPS_OPTIONS,
+  ANIMATION_SIZE_OPTIONS,
+  LOOP_STYLES,
+  buildAnimationArgs,
+  drawAnimationFrame,
+  getAnimationSize,
+  getSequenceFileName,
+  getSequenceLength,
+  getSequenceOrder
+} from '../utils/animationExport'
+import { VideoProcessingService, isCancelledError } from '../workers/videoProcessingService'
+import { loadFFmpegCore } from '../workers/ffmpegCores'
+import { queueUploadIfOffline } from '../pwa/uploadQueue'
+import { frameShape, mediaInfoShape } from '../utils/propTypes'
+
+// Turns a camera burst into a looping GIF or MP4 with the frame applied.
+// The preview plays at the chosen size and speed, so it's what gets
+// exported.
+function BoomerangEditor({ shots, mediaInfo, frames, frame, onFrameChange }) {
+  const canvasRef = useRef(null)
+  const serviceRef = useRef(null)
+  const activeJobIdRef = useRef(null)
+  const frameImageRef = useRef(null)
+  const shotImagesRef = useRef([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [format, setFormat] = useState('gif')
+  const [fps, setFps] = useState(ANIMATION_FPS_OPTIONS[1])
+  const [loopStyle, setLoopStyle] = useState(LOOP_STYLES[0].id)
+  const [outputWidth, setOutputWidth] = useState(ANIMATION_SIZE_OPTIONS[1])
+  const [ffmpegLoaded, setFfmpegLoaded] = useState(false)
+  const [ffmpegLoadProgress, setFfmpegLoadProgress] = useState(null)
+  const [isProcessing, setIsProcessing] = useState(false)
+  const [processingProgress, setProcessingProgress] = useState(0)
+  const [lastExport, setLastExport] = useState(null)
+
+  // Bursts are always cropped to a single-photo frame, so collage
+  // templates aren't offered
+  const singleFrames = frames.filter(candidate => !candidate.slots)
+
+  useEffect(() => {
+    const service = new VideoProcessingService()
+    serviceRef.current = service
+
+    loadFFmpegCore(service, undefined, { onProgress: setFfmpegLoadProgress })
+      .then(() => setFfmpegLoaded(true))
+      .catch(error => {
+        if (isCancelledError(error)) return
+        console.error('Failed to load FFmpeg from all sources:', error)
+        setFfmpegLoaded(false)
+      })
+
+    return () => {
+      service.terminate()
+      serviceRef.current = null
+    }
+  }, [])
+
+  useEffect(() => {
+    let cancelled = false
+    setIsLoading(true)
+    setError(null)
+
+    Promise.all([loadImage(frame.src), ...shots.map(loadImage)])
+      .then(([frameImg, ...shotImages]) => {
+        if (cancelled) return
+        frameImageRef.current = frameImg
+        shotImagesRef.current = shotImages
+        setIsLoading(false)
+      })
+      .catch(err => {
+        console.error('Error loading burst:', err)
+        if (cancelled) return
+        setError('Gagal memuat gambar. Silakan ambil ulang.')
+        setIsLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [shots, frame.src])
+
+  // Preview loop at the output size and speed
+  useEffect(() => {
+    const canvas = canvasRef.current
+    if (isLoading || error || !canvas) return
+
+    const { width, height } = getAnimationSize(frame, outputWidth)
+    canvas.width = width
+    canvas.height = height
+    const ctx = canvas.getContext('2d')
+    const order = getSequenceOrder(shotImagesRef.current.length, loopStyle)
+    let position = 0
+
+    const draw = () => {
+      drawAnimationFrame(ctx, shotImagesRef.current[order[position]], frameImageRef.current, frame, width / frame.width)
+      position = (position + 1) % order.length
+    }
+    draw()
+    const timer = setInterval(draw, 1000 / fps)
+    return () => clearInterval(timer)
+  }, [isLoading, error, frame, outputWidth, loopStyle, fps])
+
+  // Each shot is composited once; the sequence then refers to those
+  // images in playback order
+  const renderSequence = async () => {
+    const { width, height } = getAnimationSize(frame, outputWidth)
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    const ctx = canvas.getContext('2d')
+
+    const rendered = []
+    for (const shot of shotImagesRef.current) {
+      drawAnimationFrame(ctx, shot, frameImageRef.current, frame, width / frame.width)
+      rendered.push(await (format === 'gif' ? canvasToBlob(canvas, 'image/png') : canvasToBlob(canvas, 'image/jpeg', 0.9)))
+    }
+
+    const order = getSequenceOrder(rendered.length, loopStyle)
+    return Array.from({ length: getSequenceLength(format, order) }, (_, index) => ({
+      name: getSequenceFileName(format, index),
+      data: rendered[order[index % order.length]]
+    }))
+  }
+
+  const exportAnimation = async () => {
+    if (!ffmpegLoaded) {
+      alert('FFmpeg belum siap')
+      return
+    }
+
+    const { extension, mimeType } = ANIMATION_FORMATS[format]
+    setIsProcessing(true)
+    setProcessingProgress(0)
+
+    try {
+      const inputs = await renderSequence()
+      const job = serviceRef.current.addJob({
+        inputs,
+        args: buildAnimationArgs({ format, fps }),
+        output: `output.${extension}`,
+        mimeType,
+        duration: inputs.length / fps
+      }, {
+        onProgress: (progress) => setProcessingProgress(Math.round(progress * 100))
+      })
+      activeJobIdRef.current = job.id
+      const blob = await job.result
+
+      const filename = `hanum-riduwan-wedding-boomerang-${frame.id}-${Date.now()}.${extension}`
+      downloadBlob(blob, filename)
+      queueUploadIfOffline(blob, filename)
+      setLastExport({ format, size: blob.size })
+    } catch (err) {
+      if (!isCancelledError(err)) {
+        console.error('Error exporting animation:', err)
+        alert('Terjadi kesalahan saat membuat animasi: ' + err.message)
+      }
+    } finally {
+      activeJobIdRef.current = null
+      setIsProcessing(false)
+      setProcessingProgress(0)
+    }
+  }
+
+  const cancelExport = () => {
+    if (activeJobIdRef.current) serviceRef.current.cancel(activeJobIdRef.current)
+  }
+
+  const { width: outputPixelWidth, height: outputPixelHeight } = getAnimationSize(frame, outputWidth)
+  const sequenceLength = getSequenceOrder(shots.length, loopStyle).length
+  const ffmpegStatus = ffmpegLoaded
+    ? 'Siap'
+    : `Loading...${ffmpegLoadProgress ? ` ${formatBytes(ffmpegLoadProgress.loaded)}` : ''}`
+
+  return (
+    <div className="card p-6 md:p-8 max-w-7xl mx-auto">
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        <div className="lg:col-span-3">
+          <div className="bg-gray-100 rounded-xl p-4 text-center">
+            {error ? (
+              <div className="text-red-600 py-12">{error}</div>
+            ) : (
+              <canvas
+                ref={canvasRef}
+                className="max-w-full max-h-[70vh] rounded-lg shadow-2xl bg-white mx-auto"
+              />
+            )}
+            {isLoading && !error && (
+              <p className="text-gray-600 text-sm mt-2">Memuat foto...</p>
+            )}
+          </div>
+        </div>
+
+        <div className="lg:col-span-1">
+          <div className="bg-gray-50 rounded-xl p-6 h-fit space-y-6">
+            <div>
+              <h4 className="text-lg font-semibold text-gray-800 mb-3">Boomerang & GIF</h4>
+              <p className="text-gray-600 text-sm leading-relaxed">
+                {shots.length} foto beruntun dengan frame pernikahan Hanum & Riduwan, siap dibagikan di chat.
+              </p>
+            </div>
+
+            <FramePicker
+              frames={singleFrames}
+              selectedFrame={frame}
+              onSelect={onFrameChange}
+              disabled={isProcessing}
+            />
+
+            <div className="space-y-3">
+              <h4 className="text-lg font-semibold text-gray-800">Pengaturan</h4>
+              <OptionGroup
+                label="Format"
+                options={Object.keys(ANIMATION_FORMATS)}
+                value={format}
+                onChange={setFormat}
+                format={(id) => ANIMATION_FORMATS[id].label}
+                disabled={isProcessing}
+              />
+              <OptionGroup
+                label="Gaya"
+                options={LOOP_STYLES.map(style => style.id)}
+                value={loopStyle}
+                onChange={setLoopStyle}
+                format={(id) => LOOP_STYLES.find(style => style.id === id).label}
+                disabled={isProcessing}
+              />
+              <OptionGroup
+                label="FPS"
+                options={ANIMATION_FPS_OPTIONS}
+                value={fps}
+                onChange={setFps}
+                format={(value) => String(value)}
+                disabled={isProcessing}
+              />
+              <OptionGroup
+                label="Lebar"
+                options={ANIMATION_SIZE_OPTIONS}
+                value={outputWidth}
+                onChange={setOutputWidth}
+                format={(value) => `${value}px`}
+                disabled={isProcessing}
+              />
+            </div>
+
+            <div>
+              <h4 className="text-lg font-semibold text-gray-800 mb-3">Status & Catatan</h4>
+              <div className="space-y-2 text-sm text-gray-600">
+                <div className="flex items-start gap-2">
+                  <span className={`mt-0.5 ${ffmpegLoaded ? 'text-green-500' : 'text-yellow-500'}`}>•</span>
+                  <span>FFmpeg: {ffmpegStatus}</span>
+                </div>
+                {mediaInfo?.capturedAt && (
+                  <div className="flex items-start gap-2">
+                    <span className="text-primary-500 mt-0.5">•</span>
+                    <span>Diambil: {formatDateTime(mediaInfo.capturedAt)}</span>
+                  </div>
+                )}
+                <div className="flex items-start gap-2">
+                  <span className="text-primary-500 mt-0.5">•</span>
+                  <span>Ukuran output: {outputPixelWidth} x {outputPixelHeight}</span>
+                </div>
+                <div className="flex items-start gap-2">
+                  <span className="text-primary-500 mt-0.5">•</span>
+                  <span>Satu putaran: {sequenceLength} frame, {(sequenceLength / fps).toFixed(1)} detik</span>
+                </div>
+              </div>
+            </div>
+
+            {isProcessing && (
+              <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+                <div className="flex items-center gap-3 mb-2">
+                  <Settings className="animate-spin text-blue-600" size={16} />
+                  <span className="text-blue-800 font-medium">Membuat {ANIMATION_FORMATS[format].label}...</span>
+                </div>
+                <div className="w-full bg-blue-200 rounded-full h-2">
+                  <div
+                    className="bg-blue-600 h-2 rounded-full transition-all duration-300"
+                    style={{ width: `${processingProgress}%` }}
+                  ></div>
+                </div>
+                <div className="flex items-center justify-between mt-1">
+                  <p className="text-blue-700 text-xs">{processingProgress}% selesai</p>
+                  <button
+                    className="flex items-center gap-1 text-xs font-medium text-red-600 hover:text-red-700"
+                    onClick={cancelExport}
+                  >
+                    <X size={14} />
+                    Batalkan
+                  </button>
+                </div>
+              </div>
+            )}
+
+            <button
+              className={`btn-primary w-full text-lg py-4 ${isProcessing || !ffmpegLoaded || isLoading ? 'opacity-70 cursor-not-allowed' : ''}`}
+              onClick={exportAnimation}
+              disabled={isProcessing || !ffmpegLoaded || isLoading || Boolean(error)}
+            >
+              {isProcessing ? <Repeat size={20} className="animate-spin" /> : <Download size={20} />}
+              {isProcessing ? 'Memproses...' : !ffmpegLoaded ? 'Loading FFmpeg...' : `Download ${ANIMATION_FORMATS[format].label}`}
+            </button>
+
+            {lastExport && (
+              <div className="bg-green-50 border border-green-200 rounded-lg p-4">
+                <p className="text-green-800 text-sm leading-relaxed">
+                  <strong>Selesai:</strong> {ANIMATION_FORMATS[lastExport.format].label} {formatBytes(lastExport.size)}. Perkecil lebar atau FPS bila file terlalu besar untuk dikirim.
+                </p>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+BoomerangEditor.propTypes = {
+  shots: PropTypes.arrayOf(PropTypes.string).isRequired,
+  mediaInfo: mediaInfoShape,
+  frames: PropTypes.arrayOf(frameShape).isRequired,
+  frame: frameShape.isRequired,
+  onFrameChange: PropTypes.func.isRequired
+}
+
+export default BoomerangEditor
@@ -1,33 +1,380 @@
-import { useState, useRef, useCallback } from 'react'
+import { useState, useRef, useCallback, useEffect, useMemo } from 'react'
+import PropTypes from 'prop-types'
 import Webcam from 'react-webcam'
-import { Camera, X, RotateCcw } from 'lucide-react'
+import { Camera, X, RotateCcw, Check, Timer, Volume2, VolumeX, Video, Square, FlipHorizontal, LayoutGrid, Repeat } from 'lucide-react'
+import OptionGroup from './OptionGroup'
+import { useCountdown } from '../hooks/useCountdown'
+import { useMediaRecorder } from '../hooks/useMediaRecorder'
+import { useCameraDevices } from '../hooks/useCameraDevices'
+import { playBeep } from '../utils/beep'
+import { captureFramedShot, createMirroredStream } from '../utils/camera'
+import {
+  CAMERA_RESOLUTIONS,
+  getCameraSettings,
+  getLastCameraId,
+  getResolutionIndex,
+  saveCameraSettings
+} from '../utils/cameraSettings'
+import { frameShape } from '../utils/propTypes'
 
-function CameraCapture({ onCapture, onCancel }) {
+const TIMER_OPTIONS = [0, 3, 5, 10]
+const BURST_OPTIONS = [1, 3, 5]
+const BURST_INTERVAL_OPTIONS = [0.5, 1, 2]
+const MAX_RECORDING_OPTIONS = [15, 30, 60]
+const SESSION_COUNTDOWN_OPTIONS = [3, 5, 10]
+const BOOMERANG_FRAME_OPTIONS = [8, 12, 16]
+// 10 shots a second, close to what the boomerang plays back at
+const BOOMERANG_INTERVAL = 100
+// Pause after each photobooth shot so the guests see it was taken
+const SESSION_SHOT_PAUSE = 800
+
+const CAPTURE_MODES = [
+  { id: 'photo', label: 'Foto', icon: Camera },
+  { id: 'video', label: 'Video', icon: Video },
+  { id: 'photobooth', label: 'Photobooth', icon: LayoutGrid },
+  { id: 'boomerang', label: 'Boomerang', icon: Repeat }
+]
+
+const formatDuration = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// What to tell the guest when getUserMedia fails
+const describeCameraError = (err, withMicrophone) => {
+  const device = withMicrophone ? 'Kamera atau mikrofon' : 'Kamera'
+  switch (err?.name) {
+    case 'NotAllowedError':
+    case 'SecurityError':
+      return `${device} tidak dapat diakses. Periksa izin browser.`
+    case 'NotReadableError':
+    case 'AbortError':
+      return `${device} sedang dipakai aplikasi lain. Tutup aplikasi tersebut lalu coba lagi.`
+    case 'NotFoundError':
+      return `${device} tidak ditemukan di perangkat ini.`
+    case 'OverconstrainedError':
+      return 'Kamera tidak mendukung resolusi yang tersedia.'
+    default:
+      return `${device} tidak dapat dibuka: ${err?.message || err?.name || 'kesalahan tidak dikenal'}`
+  }
+}
+
+// `onCapture(imageSrc)` receives a still, `onRecord(blob, duration)` a clip
+// `onPhotobooth(shots, template)` a photobooth session and
+// `onBoomerang(shots)` a quick burst for an animation. The session
+// templates are the collage frames in `frames`, one shot per slot; every
+// other mode overlays `frame`, which has to be a single-photo frame.
+function CameraCapture({ frame, frames, onFrameChange, onCapture, onRecord, onPhotobooth, onBoomerang, onCancel }) {
   const webcamRef = useRef(null)
+  const [mode, setMode] = useState('photo')
   const [facingMode, setFacingMode] = useState('user')
+  // Chosen camera and its remembered settings; null until a camera has
+  // been opened once, then facingMode decides
+  const [deviceId, setDeviceId] = useState(getLastCameraId)
+  const [resolution, setResolution] = useState(() => getCameraSettings(deviceId).resolution)
+  const [mirror, setMirror] = useState(() => getCameraSettings(deviceId).mirror)
+  // Lower resolution in use after the chosen one failed to open
+  const [fallbackIndex, setFallbackIndex] = useState(null)
+  const [cameraNotice, setCameraNotice] = useState(null)
+  const [maxRecordingSeconds, setMaxRecordingSeconds] = useState(MAX_RECORDING_OPTIONS[1])
+  const [cameraError, setCameraError] = useState(null)
+  const [timerSeconds, setTimerSeconds] = useState(0)
+  const [beepEnabled, setBeepEnabled] = useState(true)
+  const [burstCount, setBurstCount] = useState(1)
+  const [burstInterval, setBurstInterval] = useState(1)
+  const [isCapturing, setIsCapturing] = useState(false)
+  const [shotProgress, setShotProgress] = useState(null)
+  const [flash, setFlash] = useState(false)
+  const [sessionCountdown, setSessionCountdown] = useState(SESSION_COUNTDOWN_OPTIONS[0])
+  const [sessionShotCount, setSessionShotCount] = useState(null)
+  const [sessionShots, setSessionShots] = useState([])
+  const [boomerangFrames, setBoomerangFrames] = useState(BOOMERANG_FRAME_OPTIONS[1])
+  // Burst results waiting for the guest to pick one
+  const [burstShots, setBurstShots] = useState([])
+  const [selectedShot, setSelectedShot] = useState(0)
+  const cancelledRef = useRef(false)
+  const mirrorStreamRef = useRef(null)
+  const { devices, refresh: refreshDevices } = useCameraDevices()
+  const { count, start: startCountdown, cancel: cancelCountdown } = useCountdown()
+  const { isRecording, elapsed, start: startRecorder, stop: stopRecorder } = useMediaRecorder()
+
+  const stopMirrorStream = () => {
+    mirrorStreamRef.current?.stop()
+    mirrorStreamRef.current = null
+  }
+
+  useEffect(() => () => {
+    cancelledRef.current = true
+    stopMirrorStream()
+  }, [])
+
+  // A collage chosen in the photo editor can't frame a single shot
+  const singleFrames = useMemo(() => frames.filter(candidate => !candidate.slots), [frames])
 
-  const capture = useCallback(() => {
-    const imageSrc = webcamRef.current.getScreenshot()
+  useEffect(() => {
+    if (frame.slots && singleFrames.length) onFrameChange(singleFrames[0])
+  }, [frame.slots, singleFrames, onFrameChange])
+
+  // Each shot count maps to the first template with that many slots
+  const templates = frames.filter(template => template.slots)
+  const sessionCounts = [...new Set(templates.map(template => template.slots.length))].sort((a, b) => a - b)
+  const shotCount = sessionShotCount ?? sessionCounts[0]
+  const template = templates.find(candidate => candidate.slots.length === shotCount)
+  const captureModes = CAPTURE_MODES.filter(({ id }) => id !== 'photobooth' || template)
+
+  // Cropped to the frame's aspect ratio (or a photobooth slot's), i.e.
+  // exactly what the preview shows
+  const takeShot = useCallback((aspectRatio = frame.width / frame.height) => {
+    const imageSrc = captureFramedShot(webcamRef.current?.video, aspectRatio, { mirror })
     if (imageSrc) {
-      onCapture(imageSrc)
+      setFlash(true)
+      setTimeout(() => setFlash(false), 150)
+    }
+    return imageSrc
+  }, [frame.width, frame.height, mirror])
+
+  // Countdown (if any), then one shot or a burst. A single shot goes
+  // straight to onCapture; a burst opens the picker.
+  const capture = useCallback(async () => {
+    cancelledRef.current = false
+    setIsCapturing(true)
+
+    try {
+      if (timerSeconds > 0) {
+        const completed = await startCountdown(timerSeconds, () => {
+          if (beepEnabled) playBeep()
+        })
+        if (!completed) return
+      }
+      if (beepEnabled && timerSeconds > 0) playBeep({ frequency: 1320, duration: 0.25 })
+
+      const shots = []
+      for (let i = 0; i < burstCount; i++) {
+        if (cancelledRef.current) return
+        if (i > 0) await sleep(burstInterval * 1000)
+        setShotProgress({ current: i + 1, total: burstCount })
+        const shot = takeShot()
+        if (shot) shots.push(shot)
+      }
+      if (cancelledRef.current || shots.length === 0) return
+
+      if (shots.length === 1) {
+        onCapture(shots[0])
+      } else {
+        setBurstShots(shots)
+        setSelectedShot(0)
+      }
+    } finally {
+      setShotProgress(null)
+      setIsCapturing(false)
+    }
+  }, [timerSeconds, beepEnabled, burstCount, burstInterval, startCountdown, takeShot, onCapture])
+
+  // One countdown per template slot, each shot cropped to its slot
+  const runSession = useCallback(async () => {
+    cancelledRef.current = false
+    setIsCapturing(true)
+    setSessionShots([])
+
+    try {
+      const shots = []
+      for (const [index, slot] of template.slots.entries()) {
+        if (cancelledRef.current) return
+        setShotProgress({ current: index + 1, total: template.slots.length })
+        const completed = await startCountdown(sessionCountdown, () => {
+          if (beepEnabled) playBeep()
+        })
+        if (!completed || cancelledRef.current) return
+        if (beepEnabled) playBeep({ frequency: 1320, duration: 0.25 })
+
+        const shot = takeShot(slot.width / slot.height)
+        if (!shot) return
+        shots.push(shot)
+        setSessionShots([...shots])
+        await sleep(SESSION_SHOT_PAUSE)
+      }
+      if (cancelledRef.current) return
+
+      onPhotobooth(shots, template)
+    } finally {
+      setShotProgress(null)
+      setIsCapturing(false)
+    }
+  }, [template, sessionCountdown, beepEnabled, startCountdown, takeShot, onPhotobooth])
+
+  // Same timer as photos, then a fast burst without per-shot flashes so the
+  // motion isn't interrupted
+  const captureBoomerang = useCallback(async () => {
+    cancelledRef.current = false
+    setIsCapturing(true)
+
+    try {
+      if (timerSeconds > 0) {
+        const completed = await startCountdown(timerSeconds, () => {
+          if (beepEnabled) playBeep()
+        })
+        if (!completed) return
+        if (beepEnabled) playBeep({ frequency: 1320, duration: 0.25 })
+      }
+
+      const shots = []
+      for (let i = 0; i < boomerangFrames; i++) {
+        if (cancelledRef.current) return
+        if (i > 0) await sleep(BOOMERANG_INTERVAL)
+        setShotProgress({ current: i + 1, total: boomerangFrames })
+        const shot = captureFramedShot(webcamRef.current?.video, frame.width / frame.height, { mirror, quality: 0.85 })
+        if (shot) shots.push(shot)
+      }
+      if (cancelledRef.current || shots.length < 2) return
+
+      onBoomerang(shots)
+    } finally {
+      setShotProgress(null)
+      setIsCapturing(false)
+    }
+  }, [timerSeconds, beepEnabled, boomerangFrames, frame.width, frame.height, mirror, startCountdown, onBoomerang])
+
+  // Same timer as photos, then records until stopped or the limit is hit
+  const startRecording = useCallback(async () => {
+    const stream = webcamRef.current?.stream
+    if (!stream) return
+
+    setIsCapturing(true)
+    try {
+      if (timerSeconds > 0) {
+        const completed = await startCountdown(timerSeconds, () => {
+          if (beepEnabled) playBeep()
+        })
+        if (!completed) return
+        if (beepEnabled) playBeep({ frequency: 1320, duration: 0.25 })
+      }
+
+      // Recorded the way the preview shows it
+      if (mirror) mirrorStreamRef.current = createMirroredStream(webcamRef.current.video, stream)
+
+      startRecorder(mirrorStreamRef.current?.stream || stream, {
+        maxSeconds: maxRecordingSeconds,
+        onStop: (blob, duration) => {
+          stopMirrorStream()
+          onRecord(blob, duration)
+        },
+        onError: () => setCameraError('Perekaman gagal. Silakan coba lagi.')
+      })
+    } catch (err) {
+      console.error('Error starting recording:', err)
+      stopMirrorStream()
+      setCameraError('Browser ini tidak mendukung perekaman video.')
+    } finally {
+      setIsCapturing(false)
+    }
+  }, [timerSeconds, beepEnabled, maxRecordingSeconds, mirror, startCountdown, startRecorder, onRecord])
+
+  const resolutionIndex = fallbackIndex ?? getResolutionIndex(resolution)
+
+  const selectDevice = (id) => {
+    const settings = getCameraSettings(id)
+    setDeviceId(id)
+    setResolution(settings.resolution)
+    setMirror(settings.mirror)
+    setFallbackIndex(null)
+    setCameraNotice(null)
+    saveCameraSettings(id, settings)
+  }
+
+  const changeResolution = (id) => {
+    setResolution(id)
+    setFallbackIndex(null)
+    setCameraNotice(null)
+    saveCameraSettings(deviceId, { resolution: id })
+  }
+
+  const toggleMirror = () => {
+    setMirror(!mirror)
+    saveCameraSettings(deviceId, { mirror: !mirror })
+  }
+
+  // Labels are only listed once permission is granted. The first time, the
+  // camera the browser picked becomes the remembered one.
+  const handleUserMedia = (stream) => {
+    setCameraError(null)
+    refreshDevices()
+    const openedId = stream.getVideoTracks()[0]?.getSettings().deviceId
+    if (!deviceId && openedId) selectDevice(openedId)
+  }
+
+  // A camera that's gone falls back to the default one. One that rejects
+  // the resolution (OverconstrainedError) or fails to start at it (some
+  // drivers report NotReadableError/AbortError instead) steps down until
+  // something opens. Anything else, like a missing permission, is shown as
+  // it is.
+  const handleUserMediaError = (err) => {
+    console.error('Camera access failed:', err)
+    const name = err?.name
+
+    if (deviceId && (name === 'NotFoundError' || (name === 'OverconstrainedError' && err.constraint === 'deviceId'))) {
+      selectDevice(null)
+      return
+    }
+    const canStepDown = ['OverconstrainedError', 'NotReadableError', 'AbortError'].includes(name)
+    if (canStepDown && resolutionIndex < CAMERA_RESOLUTIONS.length - 1) {
+      const failed = CAMERA_RESOLUTIONS[resolutionIndex]
+      const next = CAMERA_RESOLUTIONS[resolutionIndex + 1]
+      setFallbackIndex(resolutionIndex + 1)
+      setCameraNotice(`Kamera tidak bisa dibuka pada ${failed.label}, memakai ${next.label}.`)
+      return
     }
-  }, [webcamRef, onCapture])
 
+    setCameraError(describeCameraError(err, mode === 'video'))
+  }
+
+  const stopCapture = () => {
+    cancelledRef.current = true
+    cancelCountdown()
+  }
+
+  const retake = () => {
+    setBurstShots([])
+    setSelectedShot(0)
+  }
+
+  // Cycles through the connected cameras, or front/back before they're known
   const switchCamera = () => {
-    setFacingMode(prev => prev === 'user' ? 'environment' : 'user')
+    if (devices.length > 1) {
+      const index = devices.findIndex(device => device.deviceId === deviceId)
+      selectDevice(devices[(index + 1) % devices.length].deviceId)
+    } else {
+      setFacingMode(prev => prev === 'user' ? 'environment' : 'user')
+    }
   }
 
+  // `min` makes a camera that can't deliver the resolution fail, so the
+  // step-down above kicks in; the lowest one is only a preference, so some
+  // picture always opens
+  const { width, height } = CAMERA_RESOLUTIONS[resolutionIndex]
+  const isLowestResolution = resolutionIndex === CAMERA_RESOLUTIONS.length - 1
   const videoConstraints = {
-    width: 1920,
-    height: 1080,
-    facingMode: facingMode
+    width: isLowestResolution ? { ideal: width } : { min: width, ideal: width },
+    height: isLowestResolution ? { ideal: height } : { min: height, ideal: height },
+    ...(deviceId ? { deviceId: { exact: deviceId } } : { facingMode })
   }
 
+  const isPicking = burstShots.length > 0
+  const isBusy = isCapturing || isRecording
+  const isSession = mode === 'photobooth'
+  const title = isPicking
+    ? 'Pilih Foto Terbaik'
+    : mode === 'video' ? 'Rekam Video' : isSession ? 'Photobooth' : mode === 'boomerang' ? 'Boomerang' : 'Ambil Foto'
+
+  // A session previews the slot being shot instead of the frame
+  const sessionSlot = isSession && template.slots[Math.min(sessionShots.length, template.slots.length - 1)]
+  const previewAspect = sessionSlot
+    ? `${sessionSlot.width} / ${sessionSlot.height}`
+    : `${frame.width} / ${frame.height}`
+
   return (
     <div className="card p-6 md:p-8 max-w-2xl mx-auto">
       <div className="flex justify-between items-center mb-6">
-        <h3 className="text-2xl font-bold text-gray-800">Ambil Foto</h3>
-        <button 
+        <h3 className="text-2xl font-bold text-gray-800">{title}</h3>
+        <button
           className="w-10 h-10 bg-red-500 hover:bg-red-600 text-white rounded-full flex items-center justify-center transition-all duration-300 hover:scale-110"
           onClick={onCancel}
         >
@@ -35,43 +382,346 @@ function CameraCapture({ onCapture, onCancel }) {
         </button>
       </div>
 
-      <div className="relative rounded-xl overflow-hidden mb-6 bg-gray-100">
+      {/* Same aspect ratio as the output, so the overlay lines up with the
+          cropped capture */}
+      <div
+        className="relative w-full max-w-sm mx-auto rounded-xl overflow-hidden mb-6 bg-gray-900"
+        style={{ aspectRatio: previewAspect }}
+      >
+        {/* Audio only in video mode; the preview itself stays muted so the
+            microphone doesn't pick up its own playback */}
         <Webcam
           ref={webcamRef}
-          audio={false}
+          audio={mode === 'video'}
+          muted
+          mirrored={mirror}
           screenshotFormat="image/jpeg"
           videoConstraints={videoConstraints}
-          className="w-full h-auto"
+          onUserMedia={handleUserMedia}
+          onUserMediaError={handleUserMediaError}
+          className="absolute inset-0 w-full h-full object-cover"
         />
-        
-        <div className="absolute inset-0 pointer-events-none">
-          <div className="absolute top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 w-4/5 h-4/5 border-2 border-dashed border-white/80 rounded-lg flex items-center justify-center">
-            <div className="bg-black/70 text-white px-4 py-2 rounded-lg text-sm font-medium">
-              Posisikan foto dalam frame ini
-            </div>
+
+        {isPicking && (
+          <img
+            src={burstShots[selectedShot]}
+            alt={`Foto ${selectedShot + 1}`}
+            className="absolute inset-0 w-full h-full object-cover"
+          />
+        )}
+
+        {!isSession && (
+          <img src={frame.src} alt={frame.label} className="absolute inset-0 w-full h-full pointer-events-none" />
+        )}
+
+        {!isPicking && (
+          <div className="absolute inset-0 pointer-events-none">
+            {count === null && !shotProgress && !isRecording && (
+              <div className="absolute bottom-4 left-1/2 -translate-x-1/2 bg-black/70 text-white px-4 py-2 rounded-lg text-sm font-medium whitespace-nowrap">
+                Posisikan diri Anda dalam bingkai
+              </div>
+            )}
+
+            {count !== null && (
+              <div className="absolute inset-0 flex items-center justify-center bg-black/20">
+                <span key={count} className="text-white text-8xl md:text-9xl font-bold drop-shadow-lg animate-pulse">
+                  {count}
+                </span>
+              </div>
+            )}
+
+            {isRecording && (
+              <div className="absolute top-4 left-1/2 -translate-x-1/2 bg-black/70 text-white px-4 py-2 rounded-lg text-sm font-medium flex items-center gap-2">
+                <span className="w-2.5 h-2.5 rounded-full bg-red-500 animate-pulse" />
+                {formatDuration(elapsed)} / {formatDuration(maxRecordingSeconds)}
+              </div>
+            )}
+
+            {shotProgress && shotProgress.total > 1 && (
+              <div className="absolute top-4 left-1/2 -translate-x-1/2 bg-black/70 text-white px-4 py-2 rounded-lg text-sm font-medium">
+                Foto {shotProgress.current} / {shotProgress.total}
+              </div>
+            )}
           </div>
-        </div>
-      </div>
+        )}
 
-      <div className="flex flex-col sm:flex-row gap-4 justify-center">
-        <button 
-          className="glass border border-white/20 hover:bg-white/20 px-4 py-3 rounded-xl transition-all duration-300 flex items-center gap-2 justify-center text-gray-700 font-medium"
-          onClick={switchCamera}
-        >
-          <RotateCcw size={20} />
-          Ganti Kamera
-        </button>
-        
-        <button 
-          className="btn-primary px-8 py-3 text-lg"
-          onClick={capture}
-        >
-          <Camera size={24} />
-          Ambil Foto
-        </button>
+        {flash && <div className="absolute inset-0 bg-white/80 pointer-events-none" />}
       </div>
+
+      {isSession && sessionShots.length > 0 && !isPicking && (
+        <div className="flex justify-center gap-2 mb-6">
+          {sessionShots.map((shot, index) => (
+            <img
+              key={index}
+              src={shot}
+              alt={`Foto ${index + 1}`}
+              className="h-16 rounded-lg border-2 border-primary-300 object-cover"
+            />
+          ))}
+        </div>
+      )}
+
+      {isPicking ? (
+        <>
+          <div className="grid grid-cols-3 sm:grid-cols-5 gap-2 mb-6">
+            {burstShots.map((shot, index) => (
+              <button
+                key={index}
+                className={`rounded-lg overflow-hidden border-2 transition-all duration-300 ${selectedShot === index ? 'border-primary-500 shadow-md' : 'border-gray-200 hover:border-primary-300'}`}
+                onClick={() => setSelectedShot(index)}
+              >
+                <img
+                  src={shot}
+                  alt={`Foto ${index + 1}`}
+                  className="w-full object-cover"
+                  style={{ aspectRatio: `${frame.width} / ${frame.height}` }}
+                />
+              </button>
+            ))}
+          </div>
+
+          <div className="flex flex-col sm:flex-row gap-4 justify-center">
+            <button
+              className="glass border border-white/20 hover:bg-white/20 px-4 py-3 rounded-xl transition-all duration-300 flex items-center gap-2 justify-center text-gray-700 font-medium"
+              onClick={retake}
+            >
+              <RotateCcw size={20} />
+              Ulangi
+            </button>
+            <button
+              className="btn-primary px-8 py-3 text-lg"
+              onClick={() => onCapture(burstShots[selectedShot])}
+            >
+              <Check size={24} />
+              Gunakan Foto Ini
+            </button>
+          </div>
+        </>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 mb-4">
+            {captureModes.map(({ id, label, icon: Icon }) => (
+              <button
+                key={id}
+                className={`px-4 py-2 rounded-lg border font-medium transition-all duration-300 flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed ${mode === id ? 'border-primary-500 bg-primary-50 text-primary-700' : 'border-gray-200 text-gray-700 hover:bg-white'}`}
+                onClick={() => setMode(id)}
+                disabled={isBusy}
+              >
+                <Icon size={18} />
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {cameraError && (
+            <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-3 text-sm mb-4">
+              {cameraError}
+            </div>
+          )}
+
+          {cameraNotice && !cameraError && (
+            <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg p-3 text-sm mb-4">
+              {cameraNotice}
+            </div>
+          )}
+
+          <div className="flex flex-col gap-3 mb-4">
+            {devices.length > 1 && (
+              <div className="flex items-center gap-2">
+                <span className="text-sm text-gray-600 min-w-[60px]">Kamera</span>
+                <select
+                  className="flex-1 min-w-0 px-3 py-1 rounded-lg border border-gray-200 text-sm text-gray-700 bg-white disabled:opacity-50"
+                  value={deviceId || ''}
+                  onChange={(e) => selectDevice(e.target.value)}
+                  disabled={isBusy}
+                >
+                  {!deviceId && <option value="">Kamera bawaan</option>}
+                  {devices.map((device, index) => (
+                    <option key={device.deviceId} value={device.deviceId}>
+                      {device.label || `Kamera ${index + 1}`}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <OptionGroup
+              label="Resolusi"
+              options={CAMERA_RESOLUTIONS.map(option => option.id)}
+              value={resolution}
+              onChange={changeResolution}
+              format={(id) => CAMERA_RESOLUTIONS[getResolutionIndex(id)].label}
+              disabled={isBusy}
+            />
+            <button
+              className="self-start flex items-center gap-2 text-sm text-gray-600 hover:text-gray-800 disabled:opacity-50"
+              onClick={toggleMirror}
+              disabled={isBusy}
+            >
+              <FlipHorizontal size={16} />
+              Cermin: {mirror ? 'Nyala' : 'Mati'}
+            </button>
+          </div>
+
+          <div className="flex flex-col gap-3 mb-6">
+            {isSession ? (
+              <>
+                <OptionGroup
+                  label="Jumlah"
+                  options={sessionCounts}
+                  value={shotCount}
+                  onChange={setSessionShotCount}
+                  format={(shots) => `${shots} foto`}
+                  disabled={isBusy}
+                />
+                <OptionGroup
+                  label="Timer"
+                  options={SESSION_COUNTDOWN_OPTIONS}
+                  value={sessionCountdown}
+                  onChange={setSessionCountdown}
+                  format={(seconds) => `${seconds} dtk`}
+                  disabled={isBusy}
+                />
+                <p className="text-sm text-gray-600">
+                  Layout: <span className="font-medium text-gray-800">{template.label}</span>, hitung mundur sebelum setiap foto
+                </p>
+              </>
+            ) : (
+              <OptionGroup
+                label="Timer"
+                options={TIMER_OPTIONS}
+                value={timerSeconds}
+                onChange={setTimerSeconds}
+                format={(seconds) => (seconds ? `${seconds} dtk` : 'Mati')}
+                disabled={isBusy}
+              />
+            )}
+            {isSession ? null : mode === 'boomerang' ? (
+              <OptionGroup
+                label="Frame"
+                options={BOOMERANG_FRAME_OPTIONS}
+                value={boomerangFrames}
+                onChange={setBoomerangFrames}
+                format={(count) => `${count} foto`}
+                disabled={isBusy}
+              />
+            ) : mode === 'photo' ? (
+              <>
+                <OptionGroup
+                  label="Burst"
+                  options={BURST_OPTIONS}
+                  value={burstCount}
+                  onChange={setBurstCount}
+                  format={(shots) => (shots > 1 ? `${shots} foto` : 'Mati')}
+                  disabled={isBusy}
+                />
+                {burstCount > 1 && (
+                  <OptionGroup
+                    label="Jeda"
+                    options={BURST_INTERVAL_OPTIONS}
+                    value={burstInterval}
+                    onChange={setBurstInterval}
+                    format={(seconds) => `${seconds} dtk`}
+                    disabled={isBusy}
+                  />
+                )}
+              </>
+            ) : (
+              <OptionGroup
+                label="Maks"
+                options={MAX_RECORDING_OPTIONS}
+                value={maxRecordingSeconds}
+                onChange={setMaxRecordingSeconds}
+                format={(seconds) => `${seconds} dtk`}
+                disabled={isBusy}
+              />
+            )}
+            {(isSession || timerSeconds > 0) && (
+              <button
+                className="self-start flex items-center gap-2 text-sm text-gray-600 hover:text-gray-800 disabled:opacity-50"
+                onClick={() => setBeepEnabled(prev => !prev)}
+                disabled={isBusy}
+              >
+                {beepEnabled ? <Volume2 size={16} /> : <VolumeX size={16} />}
+                Bunyi hitung mundur: {beepEnabled ? 'Nyala' : 'Mati'}
+              </button>
+            )}
+          </div>
+
+          <div className="flex flex-col sm:flex-row gap-4 justify-center">
+            <button
+              className="glass border border-white/20 hover:bg-white/20 px-4 py-3 rounded-xl transition-all duration-300 flex items-center gap-2 justify-center text-gray-700 font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+              onClick={switchCamera}
+              disabled={isBusy}
+            >
+              <RotateCcw size={20} />
+              Ganti Kamera
+            </button>
+
+            {isRecording ? (
+              <button
+                className="btn-secondary px-8 py-3 text-lg"
+                onClick={stopRecorder}
+              >
+                <Square size={24} />
+                Stop ({formatDuration(elapsed)})
+              </button>
+            ) : isCapturing ? (
+              <button
+                className="btn-secondary px-8 py-3 text-lg"
+                onClick={stopCapture}
+              >
+                <X size={24} />
+                Batalkan
+              </button>
+            ) : isSession ? (
+              <button
+                className="btn-primary px-8 py-3 text-lg"
+                onClick={runSession}
+              >
+                <LayoutGrid size={24} />
+                Mulai Sesi
+              </button>
+            ) : mode === 'boomerang' ? (
+              <button
+                className="btn-primary px-8 py-3 text-lg"
+                onClick={captureBoomerang}
+              >
+                {timerSeconds > 0 ? <Timer size={24} /> : <Repeat size={24} />}
+                Ambil Boomerang
+              </button>
+            ) : mode === 'video' ? (
+              <button
+                className="btn-primary px-8 py-3 text-lg"
+                onClick={startRecording}
+              >
+                {timerSeconds > 0 ? <Timer size={24} /> : <Video size={24} />}
+                Mulai Rekam
+              </button>
+            ) : (
+              <button
+                className="btn-primary px-8 py-3 text-lg"
+                onClick={capture}
+              >
+                {timerSeconds > 0 ? <Timer size={24} /> : <Camera size={24} />}
+                Ambil Foto
+              </button>
+            )}
+          </div>
+        </>
+      )}
     </div>
   )
 }
 
-export default CameraCapture
\ No newline at end of file
+CameraCapture.propTypes = {
+  frame: frameShape.isRequired,
+  frames: PropTypes.arrayOf(frameShape).isRequired,
+  onFrameChange: PropTypes.func.isRequired,
+  onCapture: PropTypes.func.isRequired,
+  onRecord: PropTypes.func.isRequired,
+  onPhotobooth: PropTypes.func.isRequired,
+  onBoomerang: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+}
+
+export default CameraCapture
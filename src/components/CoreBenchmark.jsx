@@ -0,0 +1,233 @@
+import { useState } from 'react'
+import { Play, Settings } from 'lucide-react'
+import { DEFAULT_FRAME } from '../frames/catalog'
+import { getPrimaryWindow } from '../frames/frameWindows'
+import { fitInRect } from '../utils/fit'
+import { buildExportArgs, buildFrameFilterGraph } from '../utils/ffmpegFilters'
+import { formatBytes } from '../utils/format'
+import { canvasToBlob, loadImage } from '../utils/image'
+import { VideoProcessingService } from '../workers/videoProcessingService'
+import { FFMPEG_CORES, canUseMultiThreadCore, loadFFmpegCore } from '../workers/ffmpegCores'
+
+// Reference clip: portrait 1080x1920 test pattern with a tone, roughly what
+// a phone records, so both cores do the same work as a real export
+const CLIP_LENGTHS = [5, 10, 20]
+
+const buildReferenceClipArgs = (seconds) => [
+  '-f', 'lavfi', '-i', `testsrc2=size=1080x1920:rate=30:duration=${seconds}`,
+  '-f', 'lavfi', '-i', `sine=frequency=440:sample_rate=48000:duration=${seconds}`,
+  '-c:v', 'libx264',
+  '-preset', 'ultrafast',
+  '-pix_fmt', 'yuv420p',
+  '-c:a', 'aac',
+  '-shortest',
+  'reference.mp4'
+]
+
+const createReferenceClip = async (seconds, onProgress) => {
+  const service = new VideoProcessingService()
+  try {
+    await loadFFmpegCore(service)
+    return await service.addJob({
+      inputs: [],
+      args: buildReferenceClipArgs(seconds),
+      output: 'reference.mp4',
+      mimeType: 'video/mp4',
+      duration: seconds
+    }, { onProgress }).result
+  } finally {
+    service.terminate()
+  }
+}
+
+// The default frame as the overlay, with the clip fitted to its window
+const createExportInputs = async (clip, seconds) => {
+  const { width, height } = DEFAULT_FRAME
+  const frameImg = await loadImage(DEFAULT_FRAME.src)
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  canvas.getContext('2d').drawImage(frameImg, 0, 0, width, height)
+
+  const frameWindow = getPrimaryWindow(frameImg, width, height)
+  const source = { width: 1080, height: 1920 }
+
+  return {
+    inputs: [
+      { name: 'input.mp4', data: clip },
+      { name: 'frame.png', data: await canvasToBlob(canvas) }
+    ],
+    args: buildExportArgs({
+      trimStart: 0,
+      trimEnd: seconds,
+      filterGraph: buildFrameFilterGraph({
+        width,
+        height,
+        source,
+        transform: fitInRect('contain-white', source.width, source.height, frameWindow),
+        window: frameWindow
+      })
+    })
+  }
+}
+
+// Loads one core in a fresh worker and times the load and the export
+const benchmarkCore = async (core, { inputs, args }, seconds, onProgress) => {
+  const service = new VideoProcessingService()
+  try {
+    const loadStart = performance.now()
+    await loadFFmpegCore(service, [core])
+    const loadTime = performance.now() - loadStart
+
+    const exportStart = performance.now()
+    const blob = await service.addJob({
+      inputs,
+      args,
+      output: 'output.mp4',
+      mimeType: 'video/mp4',
+      duration: seconds
+    }, { onProgress }).result
+    const exportTime = performance.now() - exportStart
+
+    return { loadTime, exportTime, size: blob.size }
+  } finally {
+    service.terminate()
+  }
+}
+
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)} dtk`
+
+// Developer page (benchmark.html) comparing the multi- and single-threaded
+// FFmpeg cores on the export VideoEditor runs
+function CoreBenchmark() {
+  const [seconds, setSeconds] = useState(CLIP_LENGTHS[1])
+  const [isRunning, setIsRunning] = useState(false)
+  const [status, setStatus] = useState('')
+  const [progress, setProgress] = useState(0)
+  const [results, setResults] = useState([])
+  const isolated = canUseMultiThreadCore()
+
+  const updateProgress = (value) => setProgress(Math.round(value * 100))
+
+  const runBenchmark = async () => {
+    setIsRunning(true)
+    setResults([])
+
+    try {
+      setStatus('Membuat klip referensi...')
+      setProgress(0)
+      const clip = await createReferenceClip(seconds, updateProgress)
+      const job = await createExportInputs(clip, seconds)
+
+      for (const core of [FFMPEG_CORES.mt, FFMPEG_CORES.st]) {
+        if (core.id === 'mt' && !isolated) {
+          setResults(prev => [...prev, { core, error: 'Tidak tersedia: halaman tidak cross-origin isolated' }])
+          continue
+        }
+
+        setStatus(`Menguji core ${core.label}...`)
+        setProgress(0)
+        try {
+          const result = await benchmarkCore(core, job, seconds, updateProgress)
+          setResults(prev => [...prev, { core, clipSeconds: seconds, ...result }])
+        } catch (error) {
+          console.error(`Benchmark failed for ${core.label}:`, error)
+          setResults(prev => [...prev, { core, error: error.message }])
+        }
+      }
+
+      setStatus('Selesai')
+    } catch (error) {
+      console.error('Benchmark failed:', error)
+      setStatus('Gagal: ' + error.message)
+    } finally {
+      setIsRunning(false)
+    }
+  }
+
+  const single = results.find(result => result.core.id === 'st' && !result.error)
+
+  return (
+    <div className="min-h-screen flex items-center justify-center p-4">
+      <div className="card p-6 md:p-8 max-w-2xl w-full space-y-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800 mb-2">Benchmark Core FFmpeg</h1>
+          <p className="text-gray-600 text-sm leading-relaxed">
+            Membandingkan core multi-thread dan single-thread pada export yang sama dengan VideoEditor:
+            klip referensi 1080x1920 30fps dengan audio, frame {DEFAULT_FRAME.label}, H.264 preset medium.
+          </p>
+          <p className="text-sm text-gray-600 mt-2">
+            Cross-origin isolated: <strong>{isolated ? 'Ya' : 'Tidak'}</strong>, CPU: <strong>{navigator.hardwareConcurrency || '?'} thread</strong>
+          </p>
+        </div>
+
+        <div className="flex items-center gap-4">
+          <label className="text-sm text-gray-700">
+            Durasi klip{' '}
+            <select
+              className="ml-2 border border-gray-200 rounded-lg px-3 py-2"
+              value={seconds}
+              onChange={(e) => setSeconds(Number(e.target.value))}
+              disabled={isRunning}
+            >
+              {CLIP_LENGTHS.map(length => (
+                <option key={length} value={length}>{length} detik</option>
+              ))}
+            </select>
+          </label>
+          <button className="btn-primary" onClick={runBenchmark} disabled={isRunning}>
+            {isRunning ? <Settings className="animate-spin" size={18} /> : <Play size={18} />}
+            {isRunning ? 'Berjalan...' : 'Mulai Benchmark'}
+          </button>
+        </div>
+
+        {status && (
+          <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+            <p className="text-blue-800 text-sm font-medium mb-2">{status}</p>
+            {isRunning && (
+              <div className="w-full bg-blue-200 rounded-full h-2">
+                <div className="bg-blue-600 h-2 rounded-full transition-all duration-300" style={{ width: `${progress}%` }}></div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {results.length > 0 && (
+          <table className="w-full text-sm text-left">
+            <thead className="text-gray-500 border-b border-gray-200">
+              <tr>
+                <th className="py-2">Core</th>
+                <th className="py-2">Load</th>
+                <th className="py-2">Export</th>
+                <th className="py-2">Kecepatan</th>
+                <th className="py-2">Output</th>
+              </tr>
+            </thead>
+            <tbody className="text-gray-700">
+              {results.map(result => (
+                <tr key={result.core.id} className="border-b border-gray-100">
+                  <td className="py-2 font-medium">{result.core.label}</td>
+                  {result.error ? (
+                    <td className="py-2 text-red-600" colSpan={4}>{result.error}</td>
+                  ) : (
+                    <>
+                      <td className="py-2">{formatSeconds(result.loadTime)}</td>
+                      <td className="py-2">
+                        {formatSeconds(result.exportTime)}
+                        {single && result !== single && ` (${(single.exportTime / result.exportTime).toFixed(2)}x lebih cepat)`}
+                      </td>
+                      <td className="py-2">{(result.clipSeconds / (result.exportTime / 1000)).toFixed(2)}x realtime</td>
+                      <td className="py-2">{formatBytes(result.size)}</td>
+                    </>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default CoreBenchmark
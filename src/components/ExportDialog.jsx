@@ -0,0 +1,181 @@
+import { useEffect, useRef, useState } from 'react'
+import PropTypes from 'prop-types'
+import { Download, X } from 'lucide-react'
+import { formatBytes } from '../utils/format'
+import { EXPORT_FORMATS, supportsWebp } from '../utils/exportFormats'
+
+// Export options with a live file-size estimate. `renderBlob(options)`
+// produces the final file; the last estimate is reused for the download
+// when the options haven't changed since.
+function ExportDialog({ width, height, renderBlob, onDownload, onClose }) {
+  const [format, setFormat] = useState('jpeg')
+  const [quality, setQuality] = useState(0.9)
+  const [highRes, setHighRes] = useState(false)
+  const [includeMetadata, setIncludeMetadata] = useState(false)
+  const [eventTag, setEventTag] = useState('Pernikahan Hanum & Riduwan')
+  const [estimate, setEstimate] = useState(null)
+  const [isRendering, setIsRendering] = useState(false)
+  const [isExporting, setIsExporting] = useState(false)
+  const renderBlobRef = useRef(renderBlob)
+  renderBlobRef.current = renderBlob
+
+  const options = { format, quality, highRes, includeMetadata: format === 'jpeg' && includeMetadata, eventTag }
+  const optionsKey = JSON.stringify(options)
+
+  useEffect(() => {
+    let cancelled = false
+    setIsRendering(true)
+
+    // Debounce so dragging the quality slider doesn't encode on every step
+    const timer = setTimeout(async () => {
+      try {
+        const blob = await renderBlobRef.current(JSON.parse(optionsKey))
+        if (!cancelled) setEstimate({ key: optionsKey, blob })
+      } catch (err) {
+        console.error('Error estimating export size:', err)
+        if (!cancelled) setEstimate(null)
+      } finally {
+        if (!cancelled) setIsRendering(false)
+      }
+    }, 300)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [optionsKey])
+
+  const handleDownload = async () => {
+    setIsExporting(true)
+    try {
+      const blob = estimate?.key === optionsKey ? estimate.blob : await renderBlob(options)
+      onDownload(blob, options)
+    } catch (err) {
+      console.error('Error exporting image:', err)
+      alert('Terjadi kesalahan saat menyimpan gambar: ' + err.message)
+    } finally {
+      setIsExporting(false)
+    }
+  }
+
+  const factor = highRes ? 2 : 1
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="card p-6 w-full max-w-md">
+        <div className="flex justify-between items-center mb-6">
+          <h3 className="text-xl font-bold text-gray-800">Download Hasil</h3>
+          <button
+            className="w-9 h-9 bg-gray-100 hover:bg-gray-200 text-gray-600 rounded-full flex items-center justify-center transition-all duration-300"
+            onClick={onClose}
+          >
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="space-y-5">
+          <div>
+            <h4 className="text-sm font-semibold text-gray-700 mb-2">Format</h4>
+            <div className="grid grid-cols-3 gap-2">
+              {EXPORT_FORMATS.map(option => {
+                const disabled = option.id === 'webp' && !supportsWebp()
+                return (
+                  <button
+                    key={option.id}
+                    className={`px-3 py-2 rounded-lg border text-sm font-medium transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed ${format === option.id ? 'border-primary-500 bg-primary-50 text-primary-700' : 'border-gray-200 text-gray-700 hover:bg-gray-50'}`}
+                    onClick={() => setFormat(option.id)}
+                    disabled={disabled}
+                    title={disabled ? 'Browser ini tidak mendukung WebP' : undefined}
+                  >
+                    {option.label}
+                  </button>
+                )
+              })}
+            </div>
+          </div>
+
+          <div className={format === 'png' ? 'opacity-50' : ''}>
+            <label className="flex justify-between text-sm font-semibold text-gray-700 mb-2">
+              <span>Kualitas</span>
+              <span>{format === 'png' ? 'Lossless' : `${Math.round(quality * 100)}%`}</span>
+            </label>
+            <input
+              type="range"
+              min={0.5}
+              max={1}
+              step={0.01}
+              value={quality}
+              onChange={(e) => setQuality(Number(e.target.value))}
+              disabled={format === 'png'}
+              className="w-full accent-primary-500"
+            />
+          </div>
+
+          <label className="flex items-start gap-2 text-sm text-gray-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={highRes}
+              onChange={(e) => setHighRes(e.target.checked)}
+              className="mt-1 accent-primary-500"
+            />
+            <span>
+              Resolusi tinggi ({width * 2} x {height * 2})
+              <span className="block text-xs text-gray-500">Dirender ulang dari piksel foto asli</span>
+            </span>
+          </label>
+
+          <div className={format === 'jpeg' ? '' : 'opacity-50'}>
+            <label className="flex items-start gap-2 text-sm text-gray-700 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={includeMetadata}
+                onChange={(e) => setIncludeMetadata(e.target.checked)}
+                disabled={format !== 'jpeg'}
+                className="mt-1 accent-primary-500"
+              />
+              <span>
+                Sertakan metadata (tanggal foto & tag acara)
+                <span className="block text-xs text-gray-500">Hanya untuk JPEG</span>
+              </span>
+            </label>
+            {format === 'jpeg' && includeMetadata && (
+              <input
+                type="text"
+                value={eventTag}
+                onChange={(e) => setEventTag(e.target.value)}
+                placeholder="Tag acara"
+                className="mt-3 w-full rounded-lg border border-gray-200 px-3 py-2 text-sm focus:outline-none focus:border-primary-500"
+              />
+            )}
+          </div>
+
+          <div className="bg-gray-50 rounded-lg p-3 text-sm text-gray-600 flex justify-between">
+            <span>{width * factor} x {height * factor}</span>
+            <span className="font-medium">
+              {isRendering || !estimate ? 'Menghitung ukuran...' : `± ${formatBytes(estimate.blob.size)}`}
+            </span>
+          </div>
+
+          <button
+            className="btn-primary w-full text-lg py-4 disabled:opacity-50 disabled:cursor-not-allowed"
+            onClick={handleDownload}
+            disabled={isExporting}
+          >
+            <Download size={20} />
+            {isExporting ? 'Menyiapkan file...' : 'Download'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+ExportDialog.propTypes = {
+  width: PropTypes.number.isRequired,
+  height: PropTypes.number.isRequired,
+  renderBlob: PropTypes.func.isRequired,
+  onDownload: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+export default ExportDialog
@@ -1,50 +1,162 @@
-import { useRef } from 'react'
-import { Upload } from 'lucide-react'
+import { useEffect, useRef, useState } from 'react'
+import PropTypes from 'prop-types'
+import { Upload, AlertCircle } from 'lucide-react'
+import { ingestVideoFile, readImageFile, sortMediaFiles } from '../utils/mediaIngest'
 
-function FileUpload({ onFileSelect }) {
+// Drop zone for photos and videos: click to browse, drag files in, or paste
+// an image anywhere on the page. Several photos are handed over as Files
+// (`onImagesSelect`) for the caller to read; a video is always opened on
+// its own.
+function FileUpload({ onFileSelect, onImagesSelect }) {
   const fileInputRef = useRef(null)
+  const [isDragging, setIsDragging] = useState(false)
+  const [isReading, setIsReading] = useState(false)
+  // Files that couldn't be opened, and the rest waiting for the guest to
+  // continue once they've seen why
+  const [rejected, setRejected] = useState([])
+  const [pending, setPending] = useState(null)
 
-  const handleFileChange = (event) => {
-    const file = event.target.files[0]
-    if (!file) return
-
-    const fileType = file.type.startsWith('image/') ? 'image' : 'video'
-    
-    if (fileType === 'image') {
-      const reader = new FileReader()
-      reader.onload = (e) => {
-        onFileSelect(e.target.result, 'image')
-      }
-      reader.readAsDataURL(file)
-    } else if (fileType === 'video') {
-      const url = URL.createObjectURL(file)
-      onFileSelect(url, 'video')
+  const openFiles = async ({ images, videos }) => {
+    setPending(null)
+    if (videos.length) {
+      const media = ingestVideoFile(videos[0])
+      onFileSelect(media.src, 'video', media)
+      return
+    }
+
+    if (images.length > 1) {
+      onImagesSelect(images)
+      return
+    }
+
+    setIsReading(true)
+    try {
+      const { src, info } = await readImageFile(images[0])
+      onFileSelect(src, 'image', info)
+    } finally {
+      setIsReading(false)
+    }
+  }
+
+  const handleFiles = (files) => {
+    if (files.length === 0 || isReading) return
+
+    const { images, videos, rejected: invalid } = sortMediaFiles(files)
+    setRejected(invalid)
+    if (images.length === 0 && videos.length === 0) {
+      setPending(null)
+    } else if (invalid.length) {
+      setPending({ images, videos })
+    } else {
+      openFiles({ images, videos })
     }
   }
 
+  const handleFilesRef = useRef(handleFiles)
+  handleFilesRef.current = handleFiles
+
+  // Pasting works anywhere while the upload screen is open
+  useEffect(() => {
+    const handlePaste = (event) => {
+      const files = Array.from(event.clipboardData?.files || [])
+      if (files.length === 0) return
+      event.preventDefault()
+      handleFilesRef.current(files)
+    }
+
+    window.addEventListener('paste', handlePaste)
+    return () => window.removeEventListener('paste', handlePaste)
+  }, [])
+
+  const handleFileChange = (event) => {
+    const files = Array.from(event.target.files)
+    event.target.value = ''
+    handleFiles(files)
+  }
+
+  const handleDragOver = (event) => {
+    event.preventDefault()
+    event.dataTransfer.dropEffect = 'copy'
+    setIsDragging(true)
+  }
+
+  // Ignore leaving into a child of the zone
+  const handleDragLeave = (event) => {
+    if (!event.currentTarget.contains(event.relatedTarget)) setIsDragging(false)
+  }
+
+  const handleDrop = (event) => {
+    event.preventDefault()
+    setIsDragging(false)
+    handleFiles(Array.from(event.dataTransfer.files))
+  }
+
   const triggerFileInput = () => {
     fileInputRef.current?.click()
   }
 
+  const pendingCount = pending ? pending.images.length + pending.videos.length : 0
+
   return (
-    <>
-      <button 
-        className="btn-primary min-w-[140px]"
-        onClick={triggerFileInput}
+    <div className="space-y-3">
+      <div
+        className={`rounded-xl border-2 border-dashed p-5 flex flex-col items-center gap-3 transition-all duration-300 ${isDragging ? 'border-primary-500 bg-primary-50' : 'border-gray-300'}`}
+        onDragOver={handleDragOver}
+        onDragLeave={handleDragLeave}
+        onDrop={handleDrop}
       >
-        <Upload size={24} />
-        Upload File
-      </button>
-      
+        <button
+          className="btn-primary min-w-[140px] disabled:opacity-70 disabled:cursor-not-allowed"
+          onClick={triggerFileInput}
+          disabled={isReading}
+        >
+          <Upload size={24} />
+          {isReading ? 'Membaca foto...' : 'Upload File'}
+        </button>
+        <p className="text-sm text-gray-500">
+          {isDragging ? 'Lepaskan untuk mengupload' : 'atau seret foto/video ke sini, atau tempel (Ctrl+V)'}
+        </p>
+      </div>
+
       <input
         ref={fileInputRef}
         type="file"
         accept="image/*,video/*"
+        multiple
         onChange={handleFileChange}
         className="hidden"
       />
-    </>
+
+      {rejected.length > 0 && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-3 text-left">
+          <div className="flex items-center gap-2 text-red-700 text-sm font-medium mb-2">
+            <AlertCircle size={16} />
+            {rejected.length} file tidak bisa dibuka
+          </div>
+          <ul className="space-y-1 text-xs text-red-700">
+            {rejected.map((file, index) => (
+              <li key={`${file.name}-${index}`}>
+                <span className="font-medium break-all">{file.name}</span>: {file.message}
+              </li>
+            ))}
+          </ul>
+          {pending && (
+            <button
+              className="btn-secondary w-full mt-3 py-2 text-sm"
+              onClick={() => openFiles(pending)}
+            >
+              Lanjutkan dengan {pendingCount} file lainnya
+            </button>
+          )}
+        </div>
+      )}
+    </div>
   )
 }
 
-export default FileUpload
\ No newline at end of file
+FileUpload.propTypes = {
+  onFileSelect: PropTypes.func.isRequired,
+  onImagesSelect: PropTypes.func.isRequired
+}
+
+export default FileUpload
@@ -0,0 +1,54 @@
+import PropTypes from 'prop-types'
+import { FIT_MODES } from '../utils/fitModes'
+
+// Chooses how media that doesn't match the frame window is filled
+function FitModePicker({ fitMode, fillColor, onFitModeChange, onFillColorChange, disabled }) {
+  return (
+    <div>
+      <h4 className="text-lg font-semibold text-gray-800 mb-3">Latar Belakang</h4>
+      <div className="grid grid-cols-2 gap-2">
+        {FIT_MODES.map(mode => (
+          <button
+            key={mode.id}
+            className={`px-3 py-2 rounded-lg border text-sm font-medium transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed ${fitMode === mode.id ? 'border-primary-500 bg-primary-50 text-primary-700' : 'border-gray-200 text-gray-700 hover:bg-white'}`}
+            onClick={() => onFitModeChange(mode.id)}
+            disabled={disabled}
+          >
+            {mode.label}
+          </button>
+        ))}
+      </div>
+
+      {fitMode === 'contain-color' && (
+        <label className="flex items-center justify-between gap-2 mt-3 text-sm text-gray-700">
+          <span>Warna latar</span>
+          <input
+            type="color"
+            value={fillColor}
+            onChange={(e) => onFillColorChange(e.target.value)}
+            disabled={disabled}
+            className="w-12 h-8 rounded border border-gray-200 cursor-pointer"
+          />
+        </label>
+      )}
+
+      <p className="text-xs text-gray-500 mt-2">
+        {fitMode === 'cover'
+          ? 'Media diperbesar hingga memenuhi bingkai (sebagian terpotong).'
+          : fitMode === 'blurred-fill'
+            ? 'Sisa ruang diisi salinan media yang diburamkan.'
+            : 'Media ditampilkan utuh, sisa ruang diisi warna.'}
+      </p>
+    </div>
+  )
+}
+
+FitModePicker.propTypes = {
+  fitMode: PropTypes.string.isRequired,
+  fillColor: PropTypes.string.isRequired,
+  onFitModeChange: PropTypes.func.isRequired,
+  onFillColorChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+}
+
+export default FitModePicker
@@ -0,0 +1,104 @@
+import { useRef, useState } from 'react'
+import PropTypes from 'prop-types'
+import { Plus, AlertCircle } from 'lucide-react'
+import { getOrientationLabel } from '../frames/catalog'
+import { createCustomFrame } from '../frames/customFrame'
+import { frameShape } from '../utils/propTypes'
+
+function FramePicker({ frames, selectedFrame, onSelect, disabled }) {
+  const fileInputRef = useRef(null)
+  const [isValidating, setIsValidating] = useState(false)
+  const [uploadError, setUploadError] = useState(null)
+
+  const handleFrameUpload = async (event) => {
+    const file = event.target.files[0]
+    event.target.value = ''
+    if (!file) return
+
+    setIsValidating(true)
+    setUploadError(null)
+    try {
+      onSelect(await createCustomFrame(file))
+    } catch (err) {
+      console.error('Custom frame rejected:', err)
+      setUploadError(err.message)
+    } finally {
+      setIsValidating(false)
+    }
+  }
+
+  return (
+    <div>
+      <h4 className="text-lg font-semibold text-gray-800 mb-4">Pilih Bingkai</h4>
+      <div className="grid grid-cols-3 gap-2">
+        {frames.map(frame => {
+          const isSelected = selectedFrame?.id === frame.id
+          return (
+            <button
+              key={frame.id}
+              className={`rounded-lg overflow-hidden border-2 bg-white transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed ${isSelected ? 'border-primary-500 shadow-md' : 'border-gray-200 hover:border-primary-300'}`}
+              onClick={() => onSelect(frame)}
+              disabled={disabled}
+              title={`${frame.label} (${frame.width} x ${frame.height})`}
+            >
+              <img
+                src={frame.thumbnail}
+                alt={frame.label}
+                className="w-full aspect-square object-contain bg-gray-100"
+                loading="lazy"
+              />
+              <span className="block text-xs font-medium text-gray-700 px-1 py-1 truncate">
+                {frame.label}
+              </span>
+              <span className="block text-[10px] text-gray-500 pb-1">
+                {getOrientationLabel(frame)}
+              </span>
+            </button>
+          )
+        })}
+
+        <button
+          className="rounded-lg border-2 border-dashed border-gray-300 hover:border-primary-400 bg-white text-gray-500 hover:text-primary-600 transition-all duration-300 flex flex-col items-center justify-center gap-1 p-2 min-h-[100px] disabled:opacity-50 disabled:cursor-not-allowed"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={disabled || isValidating}
+        >
+          {isValidating ? (
+            <div className="w-5 h-5 border-2 border-gray-300 border-t-primary-500 rounded-full animate-spin"></div>
+          ) : (
+            <Plus size={20} />
+          )}
+          <span className="text-xs font-medium text-center">
+            {isValidating ? 'Memeriksa...' : 'Upload Bingkai'}
+          </span>
+        </button>
+      </div>
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="image/png"
+        onChange={handleFrameUpload}
+        className="hidden"
+      />
+
+      {uploadError && (
+        <div className="flex items-start gap-2 mt-3 text-xs text-red-600">
+          <AlertCircle size={14} className="mt-0.5 flex-shrink-0" />
+          <span>{uploadError}</span>
+        </div>
+      )}
+      <p className="text-xs text-gray-500 mt-3">
+        Bingkai kustom: PNG transparan, rasio 9:16.
+      </p>
+    </div>
+  )
+}
+
+FramePicker.propTypes = {
+  frames: PropTypes.arrayOf(frameShape).isRequired,
+  selectedFrame: frameShape.isRequired,
+  onSelect: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+}
+
+export default FramePicker
@@ -0,0 +1,32 @@
+import PropTypes from 'prop-types'
+// Small segmented control for a handful of numeric or id options
+function OptionGroup({ label, options, value, onChange, format, disabled }) {
+  return (
+    <div className="flex items-center gap-2">
+      <span className="text-sm text-gray-600 min-w-[60px]">{label}</span>
+      <div className="flex flex-wrap gap-1">
+        {options.map(option => (
+          <button
+            key={option}
+            className={`px-3 py-1 rounded-lg border text-sm font-medium transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed ${value === option ? 'border-primary-500 bg-primary-50 text-primary-700' : 'border-gray-200 text-gray-700 hover:bg-white'}`}
+            onClick={() => onChange(option)}
+            disabled={disabled}
+          >
+            {format(option)}
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+OptionGroup.propTypes = {
+  label: PropTypes.string.isRequired,
+  options: PropTypes.arrayOf(PropTypes.oneOfType([PropTypes.string, PropTypes.number])).isRequired,
+  value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  onChange: PropTypes.func.isRequired,
+  format: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+}
+
+export default OptionGroup
@@ -0,0 +1,79 @@
+import PropTypes from 'prop-types'
+import { CloudOff, Download, Check, Upload } from 'lucide-react'
+import { formatBytes } from '../utils/format'
+import { downloadBlob } from '../utils/image'
+import { DRIVE_FOLDER_URL, removePendingUpload } from '../pwa/uploadQueue'
+
+// Results exported offline that still have to go to the shared Drive
+// folder. Once back online the guest opens the folder, uploads the files
+// (saving them again if needed) and marks each one as done.
+function PendingUploads({ uploads, offline }) {
+  if (uploads.length === 0) return null
+
+  const markUploaded = (id) => {
+    removePendingUpload(id).catch(error => console.error('Failed to remove pending upload:', error))
+  }
+
+  return (
+    <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 text-left">
+      <div className="flex items-center gap-2 mb-2">
+        {offline ? <CloudOff size={18} className="text-yellow-700" /> : <Upload size={18} className="text-yellow-700" />}
+        <span className="text-yellow-800 font-medium text-sm">
+          {uploads.length} hasil menunggu diupload ke Drive
+        </span>
+      </div>
+      <p className="text-yellow-700 text-xs mb-3">
+        {offline
+          ? 'Anda sedang offline. Hasil tetap tersimpan di perangkat ini dan bisa diupload saat koneksi kembali.'
+          : 'Koneksi sudah kembali. Buka folder Drive, upload file berikut, lalu tandai selesai.'}
+      </p>
+
+      <ul className="space-y-2 mb-3">
+        {uploads.map(upload => (
+          <li key={upload.id} className="flex items-center justify-between gap-2 text-sm text-gray-700">
+            <span className="truncate" title={upload.filename}>
+              {upload.filename} <span className="text-gray-500">({formatBytes(upload.blob.size)})</span>
+            </span>
+            <span className="flex items-center gap-1 shrink-0">
+              <button
+                className="w-8 h-8 rounded-full bg-white border border-gray-200 hover:bg-gray-100 flex items-center justify-center"
+                onClick={() => downloadBlob(upload.blob, upload.filename)}
+                title="Simpan lagi"
+              >
+                <Download size={14} />
+              </button>
+              <button
+                className="w-8 h-8 rounded-full bg-white border border-gray-200 hover:bg-green-50 text-green-600 flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+                onClick={() => markUploaded(upload.id)}
+                disabled={offline}
+                title="Sudah diupload"
+              >
+                <Check size={14} />
+              </button>
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      <button
+        className="btn-secondary w-full disabled:opacity-50 disabled:cursor-not-allowed"
+        onClick={() => window.open(DRIVE_FOLDER_URL, '_blank')}
+        disabled={offline}
+      >
+        <Upload size={18} />
+        {offline ? 'Menunggu koneksi...' : 'Buka folder Drive'}
+      </button>
+    </div>
+  )
+}
+
+PendingUploads.propTypes = {
+  uploads: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    filename: PropTypes.string.isRequired,
+    blob: PropTypes.instanceOf(Blob).isRequired
+  })).isRequired,
+  offline: PropTypes.bool
+}
+
+export default PendingUploads
@@ -1,51 +1,84 @@
 import { useEffect, useRef, useState } from 'react'
-import { Download, RotateCcw, ZoomIn, ZoomOut, Move, AlertCircle } from 'lucide-react'
-import BingkaiImage from '../assets/bingkai.png'
-
-// eslint-disable-next-line react/prop-types
-function PhotoEditor({ imageSrc }) {
+import PropTypes from 'prop-types'
+import { Download, RotateCcw, ZoomIn, ZoomOut, Move, AlertCircle, ImagePlus, RotateCw, RotateCcwSquare, RotateCwSquare, FlipHorizontal2, FlipVertical2 } from 'lucide-react'
+import FramePicker from './FramePicker'
+import ExportDialog from './ExportDialog'
+import FitModePicker from './FitModePicker'
+import { canvasToBlob, downloadBlob, loadImage } from '../utils/image'
+import { writeExif } from '../utils/exif'
+import { readImageFile, validateMediaFile } from '../utils/mediaIngest'
+import { formatDateTime } from '../utils/format'
+import { getExportFormat } from '../utils/exportFormats'
+import { coverInRect, fitInRect } from '../utils/fit'
+import { DEFAULT_FILL_COLOR, DEFAULT_FIT_MODE } from '../utils/fitModes'
+import { getPrimaryWindow } from '../frames/frameWindows'
+import { drawPhotoComposite } from '../utils/photoComposite'
+import { clampScale, normalizeRotation } from '../utils/transform'
+import { usePointerTransform } from '../hooks/usePointerTransform'
+import { queueUploadIfOffline } from '../pwa/uploadQueue'
+import { frameShape, mediaInfoShape } from '../utils/propTypes'
+
+// `imageSources` prefills several slots at once (a photobooth session);
+// otherwise `imageSrc` goes in the first slot
+function PhotoEditor({ imageSrc, imageSources, mediaInfo, frames, frame, onFrameChange }) {
   const canvasRef = useRef(null)
   const [isLoading, setIsLoading] = useState(true)
   const [error, setError] = useState(null)
-  const [imagePosition, setImagePosition] = useState({ x: 0, y: 0, scale: 1 })
-  const [isDragging, setIsDragging] = useState(false)
-  const [dragStart, setDragStart] = useState({ x: 0, y: 0 })
-  const userImageRef = useRef(null)
+  // One photo per frame slot; single-window frames have exactly one slot
+  const [slots, setSlots] = useState([])
+  const [slotSources, setSlotSources] = useState(() => imageSources || [imageSrc])
+  // Metadata of photos picked per slot; the first slot's describes the result
+  const [slotInfos, setSlotInfos] = useState([])
+  const [slotError, setSlotError] = useState(null)
+  const [imagePositions, setImagePositions] = useState([])
+  const [activeSlot, setActiveSlot] = useState(0)
+  const [showExportDialog, setShowExportDialog] = useState(false)
+  const [fitMode, setFitMode] = useState(DEFAULT_FIT_MODE)
+  const [fillColor, setFillColor] = useState(DEFAULT_FILL_COLOR)
+  const slotImagesRef = useRef([])
+  const gestureSlotRef = useRef(0)
   const frameImageRef = useRef(null)
 
-  // Canvas dimensions
-  const CANVAS_WIDTH = 1080
-  const CANVAS_HEIGHT = 1920
+  // Canvas dimensions follow the selected frame's output size
+  const CANVAS_WIDTH = frame.width
+  const CANVAS_HEIGHT = frame.height
+
+  // A camera shot taken through the frame overlay (CameraCapture) is already
+  // cropped to the whole frame, so it covers the canvas exactly as the guest
+  // posed instead of being fitted to the window. Collage slots and photos
+  // added later are fitted as usual.
+  const placeImage = (mode, userImg, slot, index) => (
+    mediaInfo?.framedCapture && !frame.slots && index === 0 && slotSources[0] === imageSrc
+      ? coverInRect(userImg.width, userImg.height, { x: 0, y: 0, width: CANVAS_WIDTH, height: CANVAS_HEIGHT })
+      : fitInRect(mode, userImg.width, userImg.height, slot)
+  )
+
+  const photoInfo = slotInfos[0] !== undefined ? slotInfos[0] : mediaInfo
+  const activeImage = slotImagesRef.current[activeSlot]
+  const activePosition = imagePositions[activeSlot]
+  const isCollage = slots.length > 1
+
+  // Draws the composite in output pixels; see drawPhotoComposite
+  const renderComposite = (ctx, factor = 1) => {
+    drawPhotoComposite(ctx, {
+      width: CANVAS_WIDTH,
+      height: CANVAS_HEIGHT,
+      slots,
+      images: slotImagesRef.current,
+      positions: imagePositions,
+      frameImg: frameImageRef.current,
+      fitMode,
+      fillColor,
+      caption: frame.caption,
+      date: photoInfo?.capturedAt || new Date()
+    }, factor)
+  }
 
   const drawCanvas = () => {
     const canvas = canvasRef.current
-    if (!canvas || !userImageRef.current || !frameImageRef.current) return
-
-    const ctx = canvas.getContext('2d')
-    ctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT)
-
-    // Draw white background
-    ctx.fillStyle = '#ffffff'
-    ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT)
-
-    // Draw user image
-    const userImg = userImageRef.current
-    const { x, y, scale } = imagePosition
-    
-    const scaledWidth = userImg.width * scale
-    const scaledHeight = userImg.height * scale
-    
-    ctx.drawImage(
-      userImg,
-      x - scaledWidth / 2,
-      y - scaledHeight / 2,
-      scaledWidth,
-      scaledHeight
-    )
-
-    // Draw frame on top
-    const frameImg = frameImageRef.current
-    ctx.drawImage(frameImg, 0, 0, CANVAS_WIDTH, CANVAS_HEIGHT)
+    if (!canvas || !frameImageRef.current) return
+
+    renderComposite(canvas.getContext('2d'))
   }
 
   const loadImages = async () => {
@@ -53,45 +86,23 @@ function PhotoEditor({ imageSrc }) {
       setIsLoading(true)
       setError(null)
 
-      // Load user image
-      const userImg = new Image()
-      userImg.crossOrigin = 'anonymous'
-      
-      await new Promise((resolve, reject) => {
-        userImg.onload = resolve
-        userImg.onerror = () => reject(new Error('Failed to load user image'))
-        userImg.src = imageSrc
-      })
-
-      // Load frame image
-      const frameImg = new Image()
-      frameImg.crossOrigin = 'anonymous'
-      
-      await new Promise((resolve, reject) => {
-        frameImg.onload = resolve
-        frameImg.onerror = () => reject(new Error('Failed to load frame image'))
-        frameImg.src = BingkaiImage
-      })
-
-      userImageRef.current = userImg
-      frameImageRef.current = frameImg
+      const frameImg = await loadImage(frame.src)
 
-      // Calculate initial scale and position to fit image in canvas
-      const canvasAspect = CANVAS_WIDTH / CANVAS_HEIGHT
-      const imgAspect = userImg.width / userImg.height
+      // Collage frames declare their slots; otherwise use the detected window
+      const frameSlots = frame.slots || [getPrimaryWindow(frameImg, CANVAS_WIDTH, CANVAS_HEIGHT)]
+      const userImages = await Promise.all(
+        frameSlots.map((slot, index) => (slotSources[index] ? loadImage(slotSources[index]) : null))
+      )
 
-      let scale
-      if (imgAspect > canvasAspect) {
-        scale = CANVAS_WIDTH / userImg.width
-      } else {
-        scale = CANVAS_HEIGHT / userImg.height
-      }
+      frameImageRef.current = frameImg
+      slotImagesRef.current = userImages
+      setSlots(frameSlots)
 
-      setImagePosition({
-        x: CANVAS_WIDTH / 2,
-        y: CANVAS_HEIGHT / 2,
-        scale: scale
-      })
+      // Fit each image to its slot, not the whole canvas
+      setImagePositions(userImages.map((userImg, index) => (
+        userImg ? placeImage(fitMode, userImg, frameSlots[index], index) : null
+      )))
+      setActiveSlot(prev => Math.min(prev, frameSlots.length - 1))
 
       setIsLoading(false)
     } catch (err) {
@@ -103,93 +114,163 @@ function PhotoEditor({ imageSrc }) {
 
   useEffect(() => {
     loadImages()
-  }, [imageSrc])
+  }, [imageSrc, frame])
 
   useEffect(() => {
     if (!isLoading && !error) {
       drawCanvas()
     }
-  }, [imagePosition, isLoading, error])
+  }, [imagePositions, slots, isLoading, error, fitMode, fillColor])
 
-  const handleMouseDown = (e) => {
-    const canvas = canvasRef.current
-    if (!canvas) return
-
-    const rect = canvas.getBoundingClientRect()
-    const scaleX = CANVAS_WIDTH / rect.width
-    const scaleY = CANVAS_HEIGHT / rect.height
-    
-    setIsDragging(true)
-    setDragStart({
-      x: (e.clientX - rect.left) * scaleX - imagePosition.x,
-      y: (e.clientY - rect.top) * scaleY - imagePosition.y
-    })
+  const updateActivePosition = (update) => {
+    setImagePositions(prev => prev.map((position, index) => (
+      index === activeSlot && position ? update(position) : position
+    )))
   }
 
-  const handleMouseMove = (e) => {
-    if (!isDragging) return
+  // Same checks and ingestion as FileUpload: upright pixels and EXIF kept
+  const handleSlotFileChange = async (index, event) => {
+    const file = event.target.files[0]
+    event.target.value = ''
+    if (!file) return
 
-    const canvas = canvasRef.current
-    if (!canvas) return
+    setSlotError(null)
+    try {
+      if (validateMediaFile(file) !== 'image') {
+        throw new Error('Slot hanya bisa diisi foto.')
+      }
+    } catch (err) {
+      setSlotError(`${file.name}: ${err.message}`)
+      return
+    }
 
-    const rect = canvas.getBoundingClientRect()
-    const scaleX = CANVAS_WIDTH / rect.width
-    const scaleY = CANVAS_HEIGHT / rect.height
+    try {
+      const { src, info } = await readImageFile(file)
+      const userImg = await loadImage(src)
+      slotImagesRef.current[index] = userImg
+      const replaceAt = (prev, value) => {
+        const next = [...prev]
+        next[index] = value
+        return next
+      }
+      setSlotSources(prev => replaceAt(prev, src))
+      setSlotInfos(prev => replaceAt(prev, info))
+      setImagePositions(prev => replaceAt(prev, fitInRect(fitMode, userImg.width, userImg.height, slots[index])))
+      setActiveSlot(index)
+    } catch (err) {
+      console.error('Error loading slot image:', err)
+      setSlotError('Gagal memuat gambar. Silakan coba dengan gambar lain.')
+    }
+  }
 
-    setImagePosition(prev => ({
+  // Drag, pinch, two-finger rotate and wheel zoom all edit the same transform
+  usePointerTransform({
+    canvasRef,
+    width: CANVAS_WIDTH,
+    height: CANVAS_HEIGHT,
+    onStart: (point) => {
+      if (isLoading || error) return null
+
+      // Touching inside a slot makes it the one being adjusted
+      const hitIndex = slots.findIndex(slot => (
+        point.x >= slot.x && point.x <= slot.x + slot.width &&
+        point.y >= slot.y && point.y <= slot.y + slot.height
+      ))
+      const slotIndex = hitIndex >= 0 ? hitIndex : activeSlot
+      setActiveSlot(slotIndex)
+      gestureSlotRef.current = slotIndex
+      return imagePositions[slotIndex]
+    },
+    onChange: (transform) => {
+      setImagePositions(prev => prev.map((position, index) => (
+        index === gestureSlotRef.current ? transform : position
+      )))
+    }
+  })
+
+  const renderExportBlob = async ({ format, quality, highRes, includeMetadata, eventTag }) => {
+    const { mimeType } = getExportFormat(format)
+    const factor = highRes ? 2 : 1
+
+    // Render off-screen so the preview canvas keeps its size
+    const exportCanvas = document.createElement('canvas')
+    exportCanvas.width = CANVAS_WIDTH * factor
+    exportCanvas.height = CANVAS_HEIGHT * factor
+    renderComposite(exportCanvas.getContext('2d'), factor)
+
+    const blob = await canvasToBlob(exportCanvas, mimeType, format === 'png' ? undefined : quality)
+    if (!includeMetadata) return blob
+
+    return writeExif(blob, {
+      dateTaken: photoInfo?.capturedAt || new Date(),
+      eventTag: eventTag.trim(),
+      make: photoInfo?.make,
+      model: photoInfo?.model
+    })
+  }
+
+  const downloadImage = (blob, { format }) => {
+    const { extension } = getExportFormat(format)
+    const filename = `hanum-riduwan-wedding-${frame.id}-${Date.now()}.${extension}`
+    downloadBlob(blob, filename)
+    queueUploadIfOffline(blob, filename)
+    setShowExportDialog(false)
+  }
+
+  const zoomIn = () => {
+    updateActivePosition(prev => ({
       ...prev,
-      x: (e.clientX - rect.left) * scaleX - dragStart.x,
-      y: (e.clientY - rect.top) * scaleY - dragStart.y
+      scale: clampScale(prev.scale * 1.1)
     }))
   }
 
-  const handleMouseUp = () => {
-    setIsDragging(false)
+  const zoomOut = () => {
+    updateActivePosition(prev => ({
+      ...prev,
+      scale: clampScale(prev.scale * 0.9)
+    }))
   }
 
-  const downloadImage = () => {
-    const canvas = canvasRef.current
-    if (!canvas) return
-
-    const link = document.createElement('a')
-    link.download = `hanum-riduwan-wedding-${Date.now()}.png`
-    link.href = canvas.toDataURL('image/png')
-    link.click()
+  const rotateBy = (degrees) => {
+    updateActivePosition(prev => ({
+      ...prev,
+      rotation: normalizeRotation((prev.rotation || 0) + degrees)
+    }))
   }
 
-  const zoomIn = () => {
-    setImagePosition(prev => ({
+  const setRotation = (degrees) => {
+    updateActivePosition(prev => ({
       ...prev,
-      scale: Math.min(prev.scale * 1.1, 3)
+      rotation: degrees
     }))
   }
 
-  const zoomOut = () => {
-    setImagePosition(prev => ({
+  const toggleFlip = (axis) => {
+    updateActivePosition(prev => ({
       ...prev,
-      scale: Math.max(prev.scale * 0.9, 0.1)
+      [axis]: !prev[axis]
     }))
   }
 
+  // Also clears rotation and flips, since the fitted transform has neither
   const resetImage = () => {
-    if (!userImageRef.current) return
+    const userImg = slotImagesRef.current[activeSlot]
+    const slot = slots[activeSlot]
+    if (!userImg || !slot) return
 
-    const userImg = userImageRef.current
-    const canvasAspect = CANVAS_WIDTH / CANVAS_HEIGHT
-    const imgAspect = userImg.width / userImg.height
+    updateActivePosition(() => placeImage(fitMode, userImg, slot, activeSlot))
+  }
 
-    let scale
-    if (imgAspect > canvasAspect) {
-      scale = CANVAS_WIDTH / userImg.width
-    } else {
-      scale = CANVAS_HEIGHT / userImg.height
+  // Switching between cover and the letterboxing modes refits every photo;
+  // changing only the background keeps the guest's adjustments
+  const handleFitModeChange = (mode) => {
+    if ((mode === 'cover') !== (fitMode === 'cover')) {
+      setImagePositions(slots.map((slot, index) => {
+        const userImg = slotImagesRef.current[index]
+        return userImg ? placeImage(mode, userImg, slot, index) : null
+      }))
     }
-
-    setImagePosition({
-      x: CANVAS_WIDTH / 2,
-      y: CANVAS_HEIGHT / 2,
-      scale: scale
-    })
+    setFitMode(mode)
   }
 
   return (
@@ -219,28 +300,109 @@ function PhotoEditor({ imageSrc }) {
                 </button>
               </div>
             )}
-            <canvas 
-              ref={canvasRef} 
-              width={1080}
-              height={1920}
-              className="max-w-full max-h-[70vh] rounded-lg shadow-2xl bg-white cursor-move"
-              onMouseDown={handleMouseDown}
-              onMouseMove={handleMouseMove}
-              onMouseUp={handleMouseUp}
-              onMouseLeave={handleMouseUp}
-            />
+            <div className="relative max-w-full">
+              <canvas 
+                ref={canvasRef} 
+                width={CANVAS_WIDTH}
+                height={CANVAS_HEIGHT}
+                className="block max-w-full max-h-[70vh] rounded-lg shadow-2xl bg-white cursor-move touch-none select-none"
+              />
+              {isCollage && !isLoading && slots.map((slot, index) => (
+                <div
+                  key={index}
+                  className={`absolute pointer-events-none rounded-sm border-2 ${index === activeSlot ? 'border-primary-500' : 'border-transparent'}`}
+                  style={{
+                    left: `${(slot.x / CANVAS_WIDTH) * 100}%`,
+                    top: `${(slot.y / CANVAS_HEIGHT) * 100}%`,
+                    width: `${(slot.width / CANVAS_WIDTH) * 100}%`,
+                    height: `${(slot.height / CANVAS_HEIGHT) * 100}%`
+                  }}
+                >
+                  {!imagePositions[index] && (
+                    <div className="w-full h-full flex items-center justify-center bg-gray-200/70 text-gray-600 text-sm font-medium">
+                      Slot {index + 1}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
           </div>
         </div>
 
         <div className="lg:col-span-1">
           <div className="bg-gray-50 rounded-xl p-6 h-fit">
+            <div className="mb-6">
+              <FramePicker
+                frames={frames}
+                selectedFrame={frame}
+                onSelect={onFrameChange}
+                disabled={isLoading}
+              />
+            </div>
+
+            <div className="mb-6">
+              <FitModePicker
+                fitMode={fitMode}
+                fillColor={fillColor}
+                onFitModeChange={handleFitModeChange}
+                onFillColorChange={setFillColor}
+                disabled={isLoading || error}
+              />
+            </div>
+
+            {isCollage && (
+              <div className="mb-6">
+                <h4 className="text-lg font-semibold text-gray-800 mb-4">Slot Foto</h4>
+                <div className="space-y-2">
+                  {slots.map((slot, index) => (
+                    <div
+                      key={index}
+                      className={`flex items-center gap-3 p-2 rounded-lg border transition-all duration-300 ${index === activeSlot ? 'border-primary-500 bg-white' : 'border-gray-200'}`}
+                    >
+                      <button
+                        className="flex items-center gap-3 flex-1 text-left"
+                        onClick={() => setActiveSlot(index)}
+                      >
+                        {slotSources[index] ? (
+                          <img src={slotSources[index]} alt={`Slot ${index + 1}`} className="w-10 h-10 rounded object-cover" />
+                        ) : (
+                          <div className="w-10 h-10 rounded bg-gray-200 flex items-center justify-center">
+                            <ImagePlus size={16} className="text-gray-500" />
+                          </div>
+                        )}
+                        <span className="text-sm font-medium text-gray-700">Slot {index + 1}</span>
+                      </button>
+                      <label className="text-xs font-medium text-primary-600 hover:text-primary-700 cursor-pointer px-2">
+                        {slotSources[index] ? 'Ganti' : 'Pilih Foto'}
+                        <input
+                          type="file"
+                          accept="image/*"
+                          className="hidden"
+                          onChange={(e) => handleSlotFileChange(index, e)}
+                        />
+                      </label>
+                    </div>
+                  ))}
+                </div>
+                {slotError && (
+                  <div className="flex items-start gap-2 mt-3 text-xs text-red-600">
+                    <AlertCircle size={14} className="mt-0.5 flex-shrink-0" />
+                    <span>{slotError}</span>
+                  </div>
+                )}
+                {imagePositions.some(position => !position) && (
+                  <p className="text-xs text-gray-500 mt-3">Slot yang kosong akan tampil putih pada hasil.</p>
+                )}
+              </div>
+            )}
+
             <div className="mb-6">
               <h4 className="text-lg font-semibold text-gray-800 mb-4">Kontrol Gambar</h4>
               <div className="space-y-2">
                 <button 
                   className="w-full glass border border-gray-200 hover:bg-white/50 px-4 py-3 rounded-lg transition-all duration-300 flex items-center gap-2 text-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
                   onClick={zoomIn}
-                  disabled={isLoading || error}
+                  disabled={isLoading || error || !activeImage}
                 >
                   <ZoomIn size={18} />
                   Zoom In
@@ -248,7 +410,7 @@ function PhotoEditor({ imageSrc }) {
                 <button 
                   className="w-full glass border border-gray-200 hover:bg-white/50 px-4 py-3 rounded-lg transition-all duration-300 flex items-center gap-2 text-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
                   onClick={zoomOut}
-                  disabled={isLoading || error}
+                  disabled={isLoading || error || !activeImage}
                 >
                   <ZoomOut size={18} />
                   Zoom Out
@@ -256,7 +418,7 @@ function PhotoEditor({ imageSrc }) {
                 <button 
                   className="w-full glass border border-gray-200 hover:bg-white/50 px-4 py-3 rounded-lg transition-all duration-300 flex items-center gap-2 text-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
                   onClick={resetImage}
-                  disabled={isLoading || error}
+                  disabled={isLoading || error || !activeImage}
                 >
                   <RotateCcw size={18} />
                   Reset
@@ -264,16 +426,76 @@ function PhotoEditor({ imageSrc }) {
               </div>
             </div>
 
+            <div className="mb-6">
+              <h4 className="text-lg font-semibold text-gray-800 mb-4">Rotasi & Flip</h4>
+              <div className="grid grid-cols-2 gap-2 mb-4">
+                <button 
+                  className="glass border border-gray-200 hover:bg-white/50 px-3 py-3 rounded-lg transition-all duration-300 flex items-center justify-center gap-2 text-gray-700 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                  onClick={() => rotateBy(-90)}
+                  disabled={isLoading || error || !activeImage}
+                  title="Putar 90° ke kiri"
+                >
+                  <RotateCcwSquare size={18} />
+                  -90°
+                </button>
+                <button 
+                  className="glass border border-gray-200 hover:bg-white/50 px-3 py-3 rounded-lg transition-all duration-300 flex items-center justify-center gap-2 text-gray-700 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                  onClick={() => rotateBy(90)}
+                  disabled={isLoading || error || !activeImage}
+                  title="Putar 90° ke kanan"
+                >
+                  <RotateCwSquare size={18} />
+                  +90°
+                </button>
+                <button 
+                  className={`glass border px-3 py-3 rounded-lg transition-all duration-300 flex items-center justify-center gap-2 text-sm disabled:opacity-50 disabled:cursor-not-allowed ${activePosition?.flipX ? 'border-primary-500 text-primary-600' : 'border-gray-200 text-gray-700 hover:bg-white/50'}`}
+                  onClick={() => toggleFlip('flipX')}
+                  disabled={isLoading || error || !activeImage}
+                  title="Cermin horizontal"
+                >
+                  <FlipHorizontal2 size={18} />
+                  Flip H
+                </button>
+                <button 
+                  className={`glass border px-3 py-3 rounded-lg transition-all duration-300 flex items-center justify-center gap-2 text-sm disabled:opacity-50 disabled:cursor-not-allowed ${activePosition?.flipY ? 'border-primary-500 text-primary-600' : 'border-gray-200 text-gray-700 hover:bg-white/50'}`}
+                  onClick={() => toggleFlip('flipY')}
+                  disabled={isLoading || error || !activeImage}
+                  title="Cermin vertikal"
+                >
+                  <FlipVertical2 size={18} />
+                  Flip V
+                </button>
+              </div>
+              <label className="flex justify-between text-sm text-gray-600 mb-2">
+                <span>Rotasi bebas</span>
+                <span className="font-medium">{Math.round(normalizeRotation(activePosition?.rotation || 0))}°</span>
+              </label>
+              <input
+                type="range"
+                min={-180}
+                max={180}
+                step={1}
+                value={Math.round(normalizeRotation(activePosition?.rotation || 0))}
+                onChange={(e) => setRotation(Number(e.target.value))}
+                disabled={isLoading || error || !activeImage}
+                className="w-full accent-primary-500 disabled:opacity-50"
+              />
+            </div>
+
             <div className="mb-6">
               <h4 className="text-lg font-semibold text-gray-800 mb-4">Instruksi</h4>
               <div className="space-y-3 text-sm text-gray-600">
                 <div className="flex items-center gap-2">
                   <Move size={16} className="text-primary-500" />
-                  <span>Drag gambar untuk memposisikan</span>
+                  <span>Drag atau geser dengan satu jari untuk memposisikan</span>
                 </div>
                 <div className="flex items-center gap-2">
                   <ZoomIn size={16} className="text-primary-500" />
-                  <span>Gunakan tombol zoom untuk mengubah ukuran</span>
+                  <span>Cubit dengan dua jari, scroll mouse, atau tombol zoom untuk mengubah ukuran</span>
+                </div>
+                <div className="flex items-center gap-2">
+                  <RotateCw size={16} className="text-primary-500" />
+                  <span>Putar dua jari untuk memutar foto</span>
                 </div>
                 <div className="flex items-center gap-2">
                   <span className="text-lg">🖼️</span>
@@ -282,9 +504,33 @@ function PhotoEditor({ imageSrc }) {
               </div>
             </div>
 
+            {photoInfo && (
+              <div className="mb-6">
+                <h4 className="text-lg font-semibold text-gray-800 mb-4">Info Foto</h4>
+                <dl className="space-y-1 text-sm text-gray-600">
+                  <div className="flex justify-between gap-2">
+                    <dt>Diambil</dt>
+                    <dd className="font-medium text-right">{formatDateTime(photoInfo.capturedAt)}</dd>
+                  </div>
+                  {photoInfo.camera && (
+                    <div className="flex justify-between gap-2">
+                      <dt>Kamera</dt>
+                      <dd className="font-medium text-right">{photoInfo.camera}</dd>
+                    </div>
+                  )}
+                  {photoInfo.width && (
+                    <div className="flex justify-between gap-2">
+                      <dt>Ukuran asli</dt>
+                      <dd className="font-medium text-right">{photoInfo.width} x {photoInfo.height}</dd>
+                    </div>
+                  )}
+                </dl>
+              </div>
+            )}
+
             <button 
               className="btn-primary w-full text-lg py-4 disabled:opacity-50 disabled:cursor-not-allowed"
-              onClick={downloadImage}
+              onClick={() => setShowExportDialog(true)}
               disabled={isLoading || error}
             >
               <Download size={20} />
@@ -293,8 +539,27 @@ function PhotoEditor({ imageSrc }) {
           </div>
         </div>
       </div>
+
+      {showExportDialog && (
+        <ExportDialog
+          width={CANVAS_WIDTH}
+          height={CANVAS_HEIGHT}
+          renderBlob={renderExportBlob}
+          onDownload={downloadImage}
+          onClose={() => setShowExportDialog(false)}
+        />
+      )}
     </div>
   )
 }
 
+PhotoEditor.propTypes = {
+  imageSrc: PropTypes.string,
+  imageSources: PropTypes.arrayOf(PropTypes.string),
+  mediaInfo: mediaInfoShape,
+  frames: PropTypes.arrayOf(frameShape).isRequired,
+  frame: frameShape.isRequired,
+  onFrameChange: PropTypes.func.isRequired
+}
+
 export default PhotoEditor
\ No newline at end of file
@@ -0,0 +1,106 @@
+import { useRef } from 'react'
+import PropTypes from 'prop-types'
+
+// Minimum length of the trimmed segment, in seconds
+const MIN_TRIM_LENGTH = 0.5
+
+// Seek bar with draggable in/out handles. Times are in seconds.
+function TrimTimeline({ duration, currentTime, trimStart, trimEnd, onSeek, onTrimChange, disabled }) {
+  const trackRef = useRef(null)
+  const dragHandleRef = useRef(null)
+
+  const toPercent = (time) => (duration > 0 ? (time / duration) * 100 : 0)
+
+  const timeAtPointer = (e) => {
+    const rect = trackRef.current.getBoundingClientRect()
+    const pos = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1)
+    return pos * duration
+  }
+
+  const handlePointerDown = (handle) => (e) => {
+    if (disabled) return
+    e.stopPropagation()
+    dragHandleRef.current = handle
+    e.currentTarget.setPointerCapture(e.pointerId)
+  }
+
+  const handlePointerMove = (e) => {
+    const handle = dragHandleRef.current
+    if (!handle) return
+
+    const time = timeAtPointer(e)
+    if (handle === 'start') {
+      onTrimChange({ start: Math.max(Math.min(time, trimEnd - MIN_TRIM_LENGTH), 0), end: trimEnd })
+    } else {
+      onTrimChange({ start: trimStart, end: Math.min(Math.max(time, trimStart + MIN_TRIM_LENGTH), duration) })
+    }
+  }
+
+  const handlePointerUp = (e) => {
+    if (!dragHandleRef.current) return
+    dragHandleRef.current = null
+    e.currentTarget.releasePointerCapture(e.pointerId)
+  }
+
+  const handleTrackClick = (e) => {
+    if (!duration) return
+    // Seeking stays inside the trimmed range
+    onSeek(Math.min(Math.max(timeAtPointer(e), trimStart), trimEnd))
+  }
+
+  const handleClassName = 'absolute top-1/2 -translate-y-1/2 -translate-x-1/2 w-4 h-7 rounded-md bg-white border-2 border-primary-500 shadow cursor-ew-resize touch-none'
+
+  return (
+    <div
+      ref={trackRef}
+      className="flex-1 h-2 bg-gray-200 rounded-full cursor-pointer relative"
+      onClick={handleTrackClick}
+    >
+      <div
+        className="absolute inset-y-0 bg-primary-100 rounded-full"
+        style={{ left: `${toPercent(trimStart)}%`, width: `${toPercent(trimEnd - trimStart)}%` }}
+      ></div>
+      <div
+        className="absolute inset-y-0 bg-gradient-to-r from-primary-500 to-secondary-500 rounded-full transition-all duration-100"
+        style={{ left: `${toPercent(trimStart)}%`, width: `${Math.max(toPercent(currentTime - trimStart), 0)}%` }}
+      ></div>
+
+      {duration > 0 && (
+        <>
+          <div
+            className={handleClassName}
+            style={{ left: `${toPercent(trimStart)}%` }}
+            onPointerDown={handlePointerDown('start')}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+            onClick={(e) => e.stopPropagation()}
+            title="Awal potongan"
+          ></div>
+          <div
+            className={handleClassName}
+            style={{ left: `${toPercent(trimEnd)}%` }}
+            onPointerDown={handlePointerDown('end')}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+            onClick={(e) => e.stopPropagation()}
+            title="Akhir potongan"
+          ></div>
+        </>
+      )}
+    </div>
+  )
+}
+
+TrimTimeline.propTypes = {
+  duration: PropTypes.number.isRequired,
+  currentTime: PropTypes.number.isRequired,
+  trimStart: PropTypes.number.isRequired,
+  trimEnd: PropTypes.number.isRequired,
+  onSeek: PropTypes.func.isRequired,
+  onTrimChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+}
+
+export default TrimTimeline
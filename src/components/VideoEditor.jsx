@@ -1,142 +1,140 @@
-import { useEffect, useRef, useState, useCallback } from 'react'
-import { Download, Play, Pause, Settings } from 'lucide-react'
-import { FFmpeg } from '@ffmpeg/ffmpeg'
-import { toBlobURL, fetchFile } from '@ffmpeg/util'
-import BingkaiImage from '../assets/bingkai.png'
-
-// eslint-disable-next-line react/prop-types
-function VideoEditor({ videoSrc }) {
+import { useEffect, useMemo, useRef, useState, useCallback } from 'react'
+import PropTypes from 'prop-types'
+import { Download, Play, Pause, Settings, X, ZoomIn, ZoomOut, RotateCcw, Move } from 'lucide-react'
+import { fetchFile } from '@ffmpeg/util'
+import FramePicker from './FramePicker'
+import TrimTimeline from './TrimTimeline'
+import FitModePicker from './FitModePicker'
+import { getOrientationLabel } from '../frames/catalog'
+import { getPrimaryWindow } from '../frames/frameWindows'
+import { coverInRect, fitInRect } from '../utils/fit'
+import { DEFAULT_FILL_COLOR, DEFAULT_FIT_MODE } from '../utils/fitModes'
+import { drawVideoComposite } from '../utils/videoComposite'
+import { isWebCodecsExportSupported } from '../utils/webcodecsSupport'
+import { buildExportArgs, buildFrameFilterGraph } from '../utils/ffmpegFilters'
+import { formatBytes, formatDateTime } from '../utils/format'
+import { clampScale } from '../utils/transform'
+import { usePointerTransform } from '../hooks/usePointerTransform'
+import { VideoProcessingService, isCancelledError } from '../workers/videoProcessingService'
+import { canUseMultiThreadCore, loadFFmpegCore } from '../workers/ffmpegCores'
+import { queueUploadIfOffline } from '../pwa/uploadQueue'
+import { frameShape, mediaInfoShape } from '../utils/propTypes'
+
+function VideoEditor({ videoSrc, mediaInfo, frames, frame, onFrameChange }) {
   const videoRef = useRef(null)
   const canvasRef = useRef(null)
   const frameImageRef = useRef(null)
-  const ffmpegRef = useRef(new FFmpeg())
+  const videoWindowRef = useRef(null)
+  const videoTransformRef = useRef(null)
+  // FFmpeg runs in a worker; created with the component
+  const serviceRef = useRef(null)
   const animationFrameRef = useRef(null)
+  const trimRef = useRef({ start: 0, end: 0 })
+  const activeJobIdRef = useRef(null)
+  const abortControllerRef = useRef(null)
+  const cancelRequestedRef = useRef(false)
   const [isPlaying, setIsPlaying] = useState(false)
   const [currentTime, setCurrentTime] = useState(0)
   const [duration, setDuration] = useState(0)
+  const [trimStart, setTrimStart] = useState(0)
+  const [trimEnd, setTrimEnd] = useState(0)
+  const [sourceSize, setSourceSize] = useState(null)
+  const [videoTransform, setVideoTransform] = useState(null)
+  const [fitMode, setFitMode] = useState(DEFAULT_FIT_MODE)
+  const [fillColor, setFillColor] = useState(DEFAULT_FILL_COLOR)
+  const fitRef = useRef(null)
+  fitRef.current = { fitMode, fillColor }
   const [isProcessing, setIsProcessing] = useState(false)
   const [frameImageLoaded, setFrameImageLoaded] = useState(false)
   const [ffmpegLoaded, setFfmpegLoaded] = useState(false)
+  const [ffmpegCore, setFfmpegCore] = useState(null)
+  const [ffmpegLoadProgress, setFfmpegLoadProgress] = useState(null)
+  const [ffmpegFromCache, setFfmpegFromCache] = useState(false)
   const [processingProgress, setProcessingProgress] = useState(0)
+  const [isCancelling, setIsCancelling] = useState(false)
+  const [exportEngine, setExportEngine] = useState(null)
+  const [canUseWebCodecs] = useState(isWebCodecsExportSupported)
+
+  // The video fills a single window, so collage templates aren't offered
+  const singleFrames = useMemo(() => frames.filter(candidate => !candidate.slots), [frames])
 
-  // Initialize FFmpeg
   useEffect(() => {
-    const loadFFmpeg = async () => {
-      try {
-        const ffmpeg = ffmpegRef.current
-        
-        // Load FFmpeg with progress tracking
-        ffmpeg.on('progress', ({ progress }) => {
-          setProcessingProgress(Math.round(progress * 100))
-        })
+    if (frame.slots && singleFrames.length) onFrameChange(singleFrames[0])
+  }, [frame.slots, singleFrames, onFrameChange])
 
-        console.log('Starting FFmpeg load...')
-        
-        // Try local files first, then CDN fallbacks
-        const sources = [
-          {
-            name: 'Local files',
-            coreURL: '/ffmpeg/ffmpeg-core.js',
-            wasmURL: '/ffmpeg/ffmpeg-core.wasm'
-          },
-          {
-            name: 'unpkg ESM',
-            coreURL: 'https://unpkg.com/@ffmpeg/core@0.12.6/dist/esm/ffmpeg-core.js',
-            wasmURL: 'https://unpkg.com/@ffmpeg/core@0.12.6/dist/esm/ffmpeg-core.wasm'
-          },
-          {
-            name: 'jsDelivr ESM',
-            coreURL: 'https://cdn.jsdelivr.net/npm/@ffmpeg/core@0.12.6/dist/esm/ffmpeg-core.js',
-            wasmURL: 'https://cdn.jsdelivr.net/npm/@ffmpeg/core@0.12.6/dist/esm/ffmpeg-core.wasm'
-          }
-        ]
-        
-        let loaded = false
-        
-        for (const source of sources) {
-          try {
-            console.log(`Trying to load FFmpeg from: ${source.name}`)
-            
-            await ffmpeg.load({
-              coreURL: await toBlobURL(source.coreURL, 'text/javascript'),
-              wasmURL: await toBlobURL(source.wasmURL, 'application/wasm'),
-            })
-            
-            setFfmpegLoaded(true)
-            console.log(`FFmpeg loaded successfully from: ${source.name}`)
-            loaded = true
-            break
-          } catch (sourceError) {
-            console.warn(`Failed to load from ${source.name}:`, sourceError)
-            continue
-          }
-        }
-        
-        if (!loaded) {
-          throw new Error('All FFmpeg sources failed')
-        }
-      } catch (error) {
+  // Initialize FFmpeg
+  useEffect(() => {
+    const service = new VideoProcessingService()
+    serviceRef.current = service
+
+    // Multi-threaded core when the page is cross-origin isolated, trying
+    // local files first, then CDN fallbacks. Cached in the browser after the
+    // first visit.
+    loadFFmpegCore(service, undefined, { onProgress: setFfmpegLoadProgress })
+      .then(({ core, fromCache }) => {
+        setFfmpegCore(core)
+        setFfmpegFromCache(fromCache)
+        setFfmpegLoaded(true)
+      })
+      .catch(error => {
+        if (isCancelledError(error)) return
         console.error('Failed to load FFmpeg from all sources:', error)
         setFfmpegLoaded(false)
-      }
-    }
+      })
 
-    loadFFmpeg()
+    return () => {
+      service.terminate()
+      serviceRef.current = null
+    }
   }, [])
 
   // Pre-load frame image to prevent flickering
   useEffect(() => {
+    setFrameImageLoaded(false)
     const frameImg = new Image()
     frameImg.crossOrigin = 'anonymous'
     frameImg.onload = () => {
       frameImageRef.current = frameImg
+      videoWindowRef.current = getPrimaryWindow(frameImg, frame.width, frame.height)
       setFrameImageLoaded(true)
     }
     frameImg.onerror = () => {
       console.error('Failed to load frame image')
       setFrameImageLoaded(false)
     }
-    frameImg.src = BingkaiImage
-  }, [])
+    frameImg.src = frame.src
+  }, [frame.src, frame.width, frame.height])
+
+  // Everything drawVideoComposite needs besides the video itself. Read from
+  // refs so the playback loop isn't restarted on every drag step.
+  const getCompositeLayout = useCallback(() => ({
+    width: frame.width,
+    height: frame.height,
+    frameImg: frameImageRef.current,
+    videoWindow: videoWindowRef.current || { x: 0, y: 0, width: frame.width, height: frame.height },
+    transform: videoTransformRef.current,
+    ...fitRef.current
+  }), [frame])
 
-  // Optimized draw frame function with memoization
   const drawFrame = useCallback(() => {
     const video = videoRef.current
     const canvas = canvasRef.current
-    const frameImg = frameImageRef.current
-    if (!video || !canvas || !frameImg) return
-
-    const ctx = canvas.getContext('2d')
-    canvas.width = 1080
-    canvas.height = 1920
+    if (!video || !canvas || !frameImageRef.current) return
 
-    // Clear canvas
-    ctx.fillStyle = '#ffffff'
-    ctx.fillRect(0, 0, 1080, 1920)
+    canvas.width = frame.width
+    canvas.height = frame.height
+    drawVideoComposite(canvas.getContext('2d'), video, getCompositeLayout(), video.videoWidth, video.videoHeight)
+  }, [frame, getCompositeLayout])
 
-    // Calculate video scaling
-    const canvasAspect = 1080 / 1920
-    const videoAspect = video.videoWidth / video.videoHeight
-
-    let drawWidth, drawHeight, drawX, drawY
+  // Keeps playback looping between the trim handles
+  const keepInTrimRange = useCallback(() => {
+    const video = videoRef.current
+    const { start, end } = trimRef.current
+    if (!video || end <= start) return
 
-    if (videoAspect > canvasAspect) {
-      drawWidth = 1080
-      drawHeight = 1080 / videoAspect
-      drawX = 0
-      drawY = (1920 - drawHeight) / 2
-    } else {
-      drawHeight = 1920
-      drawWidth = 1920 * videoAspect
-      drawX = (1080 - drawWidth) / 2
-      drawY = 0
+    if (video.currentTime >= end || video.currentTime < start) {
+      video.currentTime = start
     }
-
-    // Draw video frame
-    ctx.drawImage(video, drawX, drawY, drawWidth, drawHeight)
-
-    // Draw frame overlay (using pre-loaded image)
-    ctx.drawImage(frameImg, 0, 0, 1080, 1920)
   }, [])
 
   // Animation loop for smooth rendering
@@ -144,16 +142,82 @@ function VideoEditor({ videoSrc }) {
     const video = videoRef.current
     if (!video || video.paused || !frameImageLoaded) return
 
+    keepInTrimRange()
     drawFrame()
     animationFrameRef.current = requestAnimationFrame(animate)
-  }, [drawFrame, frameImageLoaded])
+  }, [drawFrame, frameImageLoaded, keepInTrimRange])
+
+  // Fit the video into the frame window whenever the clip or frame changes.
+  // A clip recorded with the camera was framed live behind the overlay, so
+  // it covers the whole canvas the way the preview showed it.
+  const framedCapture = Boolean(mediaInfo?.framedCapture)
+  const fitVideo = useCallback((mode = fitRef.current.fitMode) => {
+    const video = videoRef.current
+    const videoWindow = videoWindowRef.current
+    if (!video || !video.videoWidth || !videoWindow) return
+
+    setVideoTransform(framedCapture
+      ? coverInRect(video.videoWidth, video.videoHeight, { x: 0, y: 0, width: frame.width, height: frame.height })
+      : fitInRect(mode, video.videoWidth, video.videoHeight, videoWindow))
+  }, [framedCapture, frame.width, frame.height])
+
+  useEffect(() => {
+    if (sourceSize && frameImageLoaded) fitVideo()
+  }, [sourceSize, frameImageLoaded, fitVideo])
+
+  // drawFrame reads the transform and fit mode from refs so the playback
+  // loop isn't restarted on every drag step; redraw here for when it's paused
+  useEffect(() => {
+    videoTransformRef.current = videoTransform
+    if (frameImageLoaded) drawFrame()
+  }, [videoTransform, fitMode, fillColor, frameImageLoaded, drawFrame])
+
+  // Switching between cover and the letterboxing modes refits the video;
+  // changing only the background keeps the guest's framing
+  const handleFitModeChange = (mode) => {
+    if ((mode === 'cover') !== (fitMode === 'cover')) fitVideo(mode)
+    setFitMode(mode)
+  }
+
+  // Same drag, pinch and wheel zoom as PhotoEditor, without rotation
+  usePointerTransform({
+    canvasRef,
+    width: frame.width,
+    height: frame.height,
+    allowRotate: false,
+    onStart: () => (isProcessing ? null : videoTransform),
+    onChange: setVideoTransform
+  })
+
+  const zoomVideo = (factor) => {
+    setVideoTransform(prev => prev && { ...prev, scale: clampScale(prev.scale * factor) })
+  }
 
   useEffect(() => {
     const video = videoRef.current
     if (!video) return
 
     const handleLoadedMetadata = () => {
+      // MediaRecorder WebM has no duration in its header, so Chrome reports
+      // Infinity until it has seen the end. Seeking far past it makes the
+      // browser work it out; the metadata is applied once it has.
+      if (video.duration === Infinity) {
+        const handleDurationChange = () => {
+          if (video.duration === Infinity) return
+          video.removeEventListener('durationchange', handleDurationChange)
+          video.currentTime = 0
+          handleLoadedMetadata()
+        }
+        video.addEventListener('durationchange', handleDurationChange)
+        video.currentTime = 1e101
+        return
+      }
+
       setDuration(video.duration)
+      trimRef.current = { start: 0, end: video.duration }
+      setTrimStart(0)
+      setTrimEnd(video.duration)
+      setSourceSize({ width: video.videoWidth, height: video.videoHeight })
       if (frameImageLoaded) {
         drawFrame()
         // Auto-play video when loaded
@@ -174,9 +238,15 @@ function VideoEditor({ videoSrc }) {
     }
 
     const handleTimeUpdate = () => {
+      keepInTrimRange()
       setCurrentTime(video.currentTime)
     }
 
+    // Refresh the preview after seeking or trimming while paused
+    const handleSeeked = () => {
+      if (frameImageLoaded) drawFrame()
+    }
+
     const handlePlay = () => {
       setIsPlaying(true)
       if (frameImageLoaded) {
@@ -195,6 +265,7 @@ function VideoEditor({ videoSrc }) {
     video.addEventListener('loadedmetadata', handleLoadedMetadata)
     video.addEventListener('loadeddata', handleLoadedData)
     video.addEventListener('timeupdate', handleTimeUpdate)
+    video.addEventListener('seeked', handleSeeked)
     video.addEventListener('play', handlePlay)
     video.addEventListener('pause', handlePause)
 
@@ -202,13 +273,14 @@ function VideoEditor({ videoSrc }) {
       video.removeEventListener('loadedmetadata', handleLoadedMetadata)
       video.removeEventListener('loadeddata', handleLoadedData)
       video.removeEventListener('timeupdate', handleTimeUpdate)
+      video.removeEventListener('seeked', handleSeeked)
       video.removeEventListener('play', handlePlay)
       video.removeEventListener('pause', handlePause)
       if (animationFrameRef.current) {
         cancelAnimationFrame(animationFrameRef.current)
       }
     }
-  }, [videoSrc, frameImageLoaded, animate, drawFrame])
+  }, [videoSrc, frameImageLoaded, animate, drawFrame, keepInTrimRange])
 
   // Auto-play effect when video source changes and frame is loaded
   useEffect(() => {
@@ -238,13 +310,26 @@ function VideoEditor({ videoSrc }) {
     }
   }
 
-  const handleSeek = (e) => {
+  const handleSeek = (time) => {
+    const video = videoRef.current
+    if (!video) return
+
+    video.currentTime = time
+    setCurrentTime(time)
+  }
+
+  const handleTrimChange = ({ start, end }) => {
     const video = videoRef.current
+    const startMoved = start !== trimRef.current.start
+    trimRef.current = { start, end }
+    setTrimStart(start)
+    setTrimEnd(end)
     if (!video) return
 
-    const rect = e.target.getBoundingClientRect()
-    const pos = (e.clientX - rect.left) / rect.width
-    video.currentTime = pos * duration
+    // Preview the edge being dragged
+    const time = startMoved ? start : Math.max(end - 0.05, start)
+    video.currentTime = time
+    setCurrentTime(time)
   }
 
   // Create frame overlay canvas for FFmpeg processing
@@ -253,96 +338,170 @@ function VideoEditor({ videoSrc }) {
     if (!frameImg) return null
 
     const overlayCanvas = document.createElement('canvas')
-    overlayCanvas.width = 1080
-    overlayCanvas.height = 1920
+    overlayCanvas.width = frame.width
+    overlayCanvas.height = frame.height
     const ctx = overlayCanvas.getContext('2d')
     
     // Draw frame overlay
-    ctx.drawImage(frameImg, 0, 0, 1080, 1920)
+    ctx.drawImage(frameImg, 0, 0, frame.width, frame.height)
     
     // Convert to blob
     return new Promise((resolve) => {
       overlayCanvas.toBlob(resolve, 'image/png')
     })
+  }, [frame])
+
+  const updateProgress = useCallback((progress) => {
+    setProcessingProgress(Math.round(progress * 100))
   }, [])
 
+  // Hardware-accelerated export; throws when the browser or clip can't be
+  // handled so the caller can fall back to FFmpeg
+  const processVideoWithWebCodecs = useCallback(async (signal) => {
+    const { exportWithWebCodecs } = await import('../utils/webcodecsExport')
+    const response = await fetch(videoSrc)
+    const source = await response.arrayBuffer()
+    const layout = getCompositeLayout()
+
+    return exportWithWebCodecs({
+      source,
+      width: frame.width,
+      height: frame.height,
+      trimStart,
+      trimEnd,
+      composite: (ctx, media, mediaWidth, mediaHeight) => drawVideoComposite(ctx, media, layout, mediaWidth, mediaHeight),
+      onProgress: updateProgress,
+      signal
+    })
+  }, [videoSrc, frame, trimStart, trimEnd, getCompositeLayout, updateProgress])
+
   // High-quality video processing with FFmpeg
   const processVideoWithFFmpeg = useCallback(async () => {
-    if (!ffmpegLoaded || !videoSrc) {
+    // Load input video
+    const inputs = [{ name: 'input.mp4', data: await fetchFile(videoSrc) }]
+
+    // Create frame overlay
+    const frameOverlay = await createFrameOverlay()
+    if (frameOverlay) {
+      inputs.push({ name: 'frame.png', data: frameOverlay })
+    }
+
+    // High-quality H.264 with the audio preserved
+    const { width, height } = frame
+    const video = videoRef.current
+    const source = { width: video.videoWidth, height: video.videoHeight }
+    const ffmpegCommand = buildExportArgs({
+      trimStart,
+      trimEnd,
+      filterGraph: buildFrameFilterGraph({
+        width,
+        height,
+        source,
+        transform: videoTransform ||
+          fitInRect(fitMode, source.width, source.height, videoWindowRef.current || { x: 0, y: 0, width, height }),
+        window: videoWindowRef.current,
+        fitMode,
+        fillColor
+      })
+    })
+
+    const job = serviceRef.current.addJob({
+      inputs,
+      args: ffmpegCommand,
+      output: 'output.mp4',
+      mimeType: 'video/mp4',
+      // Progress is measured against the trimmed length
+      duration: trimEnd - trimStart
+    }, {
+      onProgress: updateProgress
+    })
+    activeJobIdRef.current = job.id
+    // Cancel pressed while the inputs were still being prepared
+    if (cancelRequestedRef.current) serviceRef.current.cancel(job.id)
+
+    return job.result
+  }, [videoSrc, frame, createFrameOverlay, trimStart, trimEnd, videoTransform, fitMode, fillColor, updateProgress])
+
+  // Picks WebCodecs when the browser has it and falls back to FFmpeg
+  const downloadVideo = useCallback(async () => {
+    if (!videoSrc || (!ffmpegLoaded && !canUseWebCodecs)) {
       alert('FFmpeg belum siap atau video tidak tersedia')
       return
     }
 
+    const abortController = new AbortController()
+    abortControllerRef.current = abortController
+    cancelRequestedRef.current = false
     setIsProcessing(true)
     setProcessingProgress(0)
 
     try {
-      const ffmpeg = ffmpegRef.current
-
-      // Load input video
-      console.log('Loading video file...')
-      const videoData = await fetchFile(videoSrc)
-      await ffmpeg.writeFile('input.mp4', videoData)
-
-      // Create frame overlay
-      console.log('Creating frame overlay...')
-      const frameOverlay = await createFrameOverlay()
-      if (frameOverlay) {
-        const overlayData = await fetchFile(frameOverlay)
-        await ffmpeg.writeFile('frame.png', overlayData)
+      let blob = null
+
+      if (canUseWebCodecs) {
+        setExportEngine('webcodecs')
+        try {
+          blob = await processVideoWithWebCodecs(abortController.signal)
+        } catch (error) {
+          if (isCancelledError(error) || !ffmpegLoaded) throw error
+          console.warn('WebCodecs export failed, falling back to FFmpeg:', error)
+          setProcessingProgress(0)
+        }
       }
 
-      // FFmpeg command for high-quality processing with audio preservation
-      const ffmpegCommand = [
-        '-i', 'input.mp4',
-        '-i', 'frame.png',
-        '-filter_complex', 
-        '[0:v]scale=1080:1920:force_original_aspect_ratio=decrease,pad=1080:1920:(ow-iw)/2:(oh-ih)/2:white[scaled];[scaled][1:v]overlay=0:0[output]',
-        '-map', '[output]',
-        '-map', '0:a?', // Include audio if available
-        '-c:v', 'libx264',
-        '-preset', 'medium',
-        '-crf', '18', // High quality
-        '-c:a', 'aac',
-        '-b:a', '128k',
-        '-movflags', '+faststart',
-        'output.mp4'
-      ]
-
-      console.log('Processing video with FFmpeg...')
-      await ffmpeg.exec(ffmpegCommand)
-
-      // Read output file
-      console.log('Reading output file...')
-      const outputData = await ffmpeg.readFile('output.mp4')
+      if (!blob) {
+        setExportEngine('ffmpeg')
+        blob = await processVideoWithFFmpeg()
+      }
       
       // Create download
-      const blob = new Blob([outputData], { type: 'video/mp4' })
+      const filename = `hanum-riduwan-wedding-video-${frame.id}-${Date.now()}.mp4`
       const url = URL.createObjectURL(blob)
       const link = document.createElement('a')
-      link.download = `hanum-riduwan-wedding-video-${Date.now()}.mp4`
+      link.download = filename
       link.href = url
       link.click()
       URL.revokeObjectURL(url)
-
-      // Cleanup
-      await ffmpeg.deleteFile('input.mp4')
-      await ffmpeg.deleteFile('frame.png')
-      await ffmpeg.deleteFile('output.mp4')
-
-      console.log('Video processing completed successfully')
-      
+      queueUploadIfOffline(blob, filename)
     } catch (error) {
-      console.error('Error processing video:', error)
-      alert('Terjadi kesalahan saat memproses video: ' + error.message)
+      // Cancelling is the guest's choice, not an error
+      if (!isCancelledError(error)) {
+        console.error('Error processing video:', error)
+        alert('Terjadi kesalahan saat memproses video: ' + error.message)
+      }
     } finally {
+      abortControllerRef.current = null
+      activeJobIdRef.current = null
+      cancelRequestedRef.current = false
+      setExportEngine(null)
+      setIsCancelling(false)
       setIsProcessing(false)
       setProcessingProgress(0)
     }
-  }, [ffmpegLoaded, videoSrc, createFrameOverlay])
+  }, [videoSrc, ffmpegLoaded, canUseWebCodecs, frame, processVideoWithWebCodecs, processVideoWithFFmpeg])
+
+  // WebCodecs stops at the next frame once aborted. The worker service drops
+  // the FFmpeg job, cleans up its virtual FS and reloads the core by itself,
+  // so the next export works without a page refresh.
+  const cancelExport = () => {
+    if (!isProcessing || cancelRequestedRef.current) return
+
+    cancelRequestedRef.current = true
+    setIsCancelling(true)
+    abortControllerRef.current?.abort()
+    if (activeJobIdRef.current) serviceRef.current.cancel(activeJobIdRef.current)
+  }
 
-  // Use FFmpeg for high-quality processing
-  const downloadVideo = processVideoWithFFmpeg
+  // WebCodecs can export before the FFmpeg fallback has finished loading
+  const exportReady = ffmpegLoaded || canUseWebCodecs
+
+  const formatLoadProgress = ({ loaded, total }) => (
+    total ? `${formatBytes(loaded)} / ${formatBytes(total)}` : formatBytes(loaded)
+  )
+
+  const ffmpegStatus = ffmpegLoaded
+    ? `Siap${ffmpegFromCache ? ' (dari cache)' : ''}`
+    : `Loading...${ffmpegLoadProgress ? ` ${formatLoadProgress(ffmpegLoadProgress)}` : ''}`
 
   const formatTime = (time) => {
     const minutes = Math.floor(time / 60)
@@ -367,7 +526,7 @@ function VideoEditor({ videoSrc }) {
             
             <canvas
               ref={canvasRef}
-              className="max-w-full max-h-[70vh] rounded-lg shadow-2xl bg-white mx-auto"
+              className="max-w-full max-h-[70vh] rounded-lg shadow-2xl bg-white mx-auto cursor-move touch-none select-none"
             />
             
             <div className="flex items-center gap-4 mt-4 p-4 bg-white rounded-lg shadow-md">
@@ -382,16 +541,22 @@ function VideoEditor({ videoSrc }) {
                 {formatTime(currentTime)} / {formatTime(duration)}
               </div>
               
-              <div 
-                className="flex-1 h-2 bg-gray-200 rounded-full cursor-pointer relative overflow-hidden"
-                onClick={handleSeek}
-              >
-                <div 
-                  className="h-full bg-gradient-to-r from-primary-500 to-secondary-500 rounded-full transition-all duration-100"
-                  style={{ width: `${(currentTime / duration) * 100}%` }}
-                ></div>
-              </div>
+              <TrimTimeline
+                duration={duration}
+                currentTime={currentTime}
+                trimStart={trimStart}
+                trimEnd={trimEnd}
+                onSeek={handleSeek}
+                onTrimChange={handleTrimChange}
+                disabled={isProcessing}
+              />
             </div>
+
+            {duration > 0 && (
+              <p className="text-xs text-gray-500 mt-2">
+                Potongan: {formatTime(trimStart)} - {formatTime(trimEnd)} ({formatTime(trimEnd - trimStart)}). Geser pegangan pada timeline untuk memotong video.
+              </p>
+            )}
           </div>
         </div>
 
@@ -404,20 +569,97 @@ function VideoEditor({ videoSrc }) {
               </p>
             </div>
 
+            <FramePicker
+              frames={singleFrames}
+              selectedFrame={frame}
+              onSelect={onFrameChange}
+              disabled={isProcessing}
+            />
+
+            <FitModePicker
+              fitMode={fitMode}
+              fillColor={fillColor}
+              onFitModeChange={handleFitModeChange}
+              onFillColorChange={setFillColor}
+              disabled={isProcessing}
+            />
+
+            <div>
+              <h4 className="text-lg font-semibold text-gray-800 mb-3">Kontrol Video</h4>
+              <div className="space-y-2">
+                <button 
+                  className="w-full glass border border-gray-200 hover:bg-white/50 px-4 py-3 rounded-lg transition-all duration-300 flex items-center gap-2 text-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                  onClick={() => zoomVideo(1.1)}
+                  disabled={isProcessing || !videoTransform}
+                >
+                  <ZoomIn size={18} />
+                  Zoom In
+                </button>
+                <button 
+                  className="w-full glass border border-gray-200 hover:bg-white/50 px-4 py-3 rounded-lg transition-all duration-300 flex items-center gap-2 text-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                  onClick={() => zoomVideo(0.9)}
+                  disabled={isProcessing || !videoTransform}
+                >
+                  <ZoomOut size={18} />
+                  Zoom Out
+                </button>
+                <button 
+                  className="w-full glass border border-gray-200 hover:bg-white/50 px-4 py-3 rounded-lg transition-all duration-300 flex items-center gap-2 text-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                  onClick={() => fitVideo()}
+                  disabled={isProcessing || !videoTransform}
+                >
+                  <RotateCcw size={18} />
+                  Reset
+                </button>
+              </div>
+              <div className="flex items-center gap-2 text-sm text-gray-600 mt-3">
+                <Move size={16} className="text-primary-500 shrink-0" />
+                <span>Geser video atau cubit/scroll untuk zoom. Hasil download mengikuti posisi ini.</span>
+              </div>
+            </div>
+
             <div>
               <h4 className="text-lg font-semibold text-gray-800 mb-3">Status & Catatan</h4>
               <div className="space-y-2 text-sm text-gray-600">
                 <div className="flex items-start gap-2">
                   <span className={`mt-0.5 ${ffmpegLoaded ? 'text-green-500' : 'text-yellow-500'}`}>•</span>
-                  <span>FFmpeg: {ffmpegLoaded ? 'Siap' : 'Loading...'}</span>
+                  <span>FFmpeg: {ffmpegStatus}</span>
+                </div>
+                {ffmpegCore && (
+                  <div className="flex items-start gap-2">
+                    <span className={`mt-0.5 ${ffmpegCore.id === 'mt' ? 'text-green-500' : 'text-gray-400'}`}>•</span>
+                    <span>
+                      Core FFmpeg: {ffmpegCore.id === 'mt'
+                        ? `${ffmpegCore.label} (${navigator.hardwareConcurrency || '?'} thread)`
+                        : `${ffmpegCore.label}${canUseMultiThreadCore() ? '' : ' (halaman tidak cross-origin isolated)'}`}
+                    </span>
+                  </div>
+                )}
+                <div className="flex items-start gap-2">
+                  <span className={`mt-0.5 ${canUseWebCodecs ? 'text-green-500' : 'text-gray-400'}`}>•</span>
+                  <span>
+                    Mesin export: {canUseWebCodecs ? 'WebCodecs (akselerasi hardware), cadangan FFmpeg' : 'FFmpeg'}
+                  </span>
                 </div>
                 <div className="flex items-start gap-2">
                   <span className="text-primary-500 mt-0.5">•</span>
                   <span>Frame otomatis diterapkan pada video</span>
                 </div>
+                {mediaInfo?.capturedAt && (
+                  <div className="flex items-start gap-2">
+                    <span className="text-primary-500 mt-0.5">•</span>
+                    <span>Direkam: {formatDateTime(mediaInfo.capturedAt)}</span>
+                  </div>
+                )}
+                {sourceSize && (
+                  <div className="flex items-start gap-2">
+                    <span className="text-primary-500 mt-0.5">•</span>
+                    <span>Ukuran sumber: {sourceSize.width} x {sourceSize.height}</span>
+                  </div>
+                )}
                 <div className="flex items-start gap-2">
                   <span className="text-primary-500 mt-0.5">•</span>
-                  <span>Ukuran output: 1080 x 1920 (Portrait)</span>
+                  <span>Ukuran output: {frame.width} x {frame.height} ({getOrientationLabel(frame)})</span>
                 </div>
                 <div className="flex items-start gap-2">
                   <span className="text-primary-500 mt-0.5">•</span>
@@ -430,7 +672,9 @@ function VideoEditor({ videoSrc }) {
               <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
                 <div className="flex items-center gap-3 mb-2">
                   <Settings className="animate-spin text-blue-600" size={16} />
-                  <span className="text-blue-800 font-medium">Memproses Video...</span>
+                  <span className="text-blue-800 font-medium">
+                    Memproses Video{exportEngine === 'webcodecs' ? ' (WebCodecs)' : exportEngine === 'ffmpeg' ? ' (FFmpeg)' : ''}...
+                  </span>
                 </div>
                 <div className="w-full bg-blue-200 rounded-full h-2">
                   <div 
@@ -438,22 +682,34 @@ function VideoEditor({ videoSrc }) {
                     style={{ width: `${processingProgress}%` }}
                   ></div>
                 </div>
-                <p className="text-blue-700 text-xs mt-1">{processingProgress}% selesai</p>
+                <div className="flex items-center justify-between mt-1">
+                  <p className="text-blue-700 text-xs">
+                    {isCancelling ? 'Membatalkan...' : `${processingProgress}% selesai`}
+                  </p>
+                  <button
+                    className="flex items-center gap-1 text-xs font-medium text-red-600 hover:text-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                    onClick={cancelExport}
+                    disabled={isCancelling}
+                  >
+                    <X size={14} />
+                    Batalkan
+                  </button>
+                </div>
               </div>
             )}
 
             <button 
-              className={`btn-primary w-full text-lg py-4 ${isProcessing || !ffmpegLoaded ? 'opacity-70 cursor-not-allowed' : ''}`}
+              className={`btn-primary w-full text-lg py-4 ${isProcessing || !exportReady ? 'opacity-70 cursor-not-allowed' : ''}`}
               onClick={downloadVideo}
-              disabled={isProcessing || !ffmpegLoaded}
+              disabled={isProcessing || !exportReady}
             >
               <Download size={20} />
-              {isProcessing ? 'Memproses Video...' : !ffmpegLoaded ? 'Loading FFmpeg...' : 'Download Video HD'}
+              {isProcessing ? 'Memproses Video...' : !exportReady ? 'Loading FFmpeg...' : 'Download Video HD'}
             </button>
 
             <div className="bg-green-50 border border-green-200 rounded-lg p-4">
               <p className="text-green-800 text-sm leading-relaxed">
-                <strong>Info:</strong> Video akan diproses dengan FFmpeg untuk kualitas tinggi (1080p) dengan audio yang dipertahankan. Format output: MP4.
+                <strong>Info:</strong> Video akan diproses dengan WebCodecs bila browser mendukung, atau FFmpeg, untuk kualitas tinggi (1080p) dengan audio yang dipertahankan. Format output: MP4.
               </p>
             </div>
           </div>
@@ -463,4 +719,12 @@ function VideoEditor({ videoSrc }) {
   )
 }
 
+VideoEditor.propTypes = {
+  videoSrc: PropTypes.string.isRequired,
+  mediaInfo: mediaInfoShape,
+  frames: PropTypes.arrayOf(frameShape).isRequired,
+  frame: frameShape.isRequired,
+  onFrameChange: PropTypes.func.isRequired
+}
+
 export default VideoEditor
\ No newline at end of file
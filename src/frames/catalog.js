@@ -0,0 +1,93 @@
+import BingkaiImage from '../assets/bingkai.png'
+import ResepsiLandscape from '../assets/frames/resepsi-landscape.png'
+import AkadPortrait from '../assets/frames/akad-portrait.png'
+import AkadLandscape from '../assets/frames/akad-landscape.png'
+import PhotoboothStrip3 from '../assets/frames/photobooth-strip-3.png'
+import PhotoboothGrid2x2 from '../assets/frames/photobooth-grid-2x2.png'
+import ResepsiPortraitThumb from '../assets/frames/thumbnails/resepsi-portrait.png'
+import ResepsiLandscapeThumb from '../assets/frames/thumbnails/resepsi-landscape.png'
+import AkadPortraitThumb from '../assets/frames/thumbnails/akad-portrait.png'
+import AkadLandscapeThumb from '../assets/frames/thumbnails/akad-landscape.png'
+import PhotoboothStrip3Thumb from '../assets/frames/thumbnails/photobooth-strip-3.png'
+import PhotoboothGrid2x2Thumb from '../assets/frames/thumbnails/photobooth-grid-2x2.png'
+
+// Frame catalog. Each entry is a PNG overlay drawn on top of the guest's
+// photo or video; `width`/`height` is the output size the editors render at.
+// To add a design, drop the PNG in src/assets and list it here, with a
+// small copy (240px on the long side) in src/assets/frames/thumbnails for
+// the picker.
+//
+// Collage frames declare `slots`: one rectangle per photo, in output pixels.
+// Frames without slots take a single photo fitted to their detected window.
+// `caption` is the centre of the blank band where the couple's names and
+// the date are written (see frameCaption.js); collage frames double as the
+// photobooth templates.
+export const FRAMES = [
+  {
+    id: 'resepsi-portrait',
+    label: 'Resepsi',
+    src: BingkaiImage,
+    thumbnail: ResepsiPortraitThumb,
+    width: 1080,
+    height: 1920
+  },
+  {
+    id: 'resepsi-landscape',
+    label: 'Resepsi',
+    src: ResepsiLandscape,
+    thumbnail: ResepsiLandscapeThumb,
+    width: 1920,
+    height: 1080
+  },
+  {
+    id: 'akad-portrait',
+    label: 'Akad',
+    src: AkadPortrait,
+    thumbnail: AkadPortraitThumb,
+    width: 1080,
+    height: 1920
+  },
+  {
+    id: 'akad-landscape',
+    label: 'Akad',
+    src: AkadLandscape,
+    thumbnail: AkadLandscapeThumb,
+    width: 1920,
+    height: 1080
+  },
+  {
+    id: 'photobooth-strip-3',
+    label: 'Strip 3 Foto',
+    src: PhotoboothStrip3,
+    thumbnail: PhotoboothStrip3Thumb,
+    width: 1080,
+    height: 1920,
+    slots: [
+      { x: 90, y: 100, width: 900, height: 500 },
+      { x: 90, y: 640, width: 900, height: 500 },
+      { x: 90, y: 1180, width: 900, height: 500 }
+    ],
+    caption: { x: 540, y: 1815 }
+  },
+  {
+    id: 'photobooth-grid-2x2',
+    label: 'Grid 2x2',
+    src: PhotoboothGrid2x2,
+    thumbnail: PhotoboothGrid2x2Thumb,
+    width: 1080,
+    height: 1920,
+    slots: [
+      { x: 90, y: 100, width: 430, height: 740 },
+      { x: 560, y: 100, width: 430, height: 740 },
+      { x: 90, y: 880, width: 430, height: 740 },
+      { x: 560, y: 880, width: 430, height: 740 }
+    ],
+    caption: { x: 540, y: 1785 }
+  }
+]
+
+export const DEFAULT_FRAME = FRAMES[0]
+
+export const getOrientationLabel = (frame) => (
+  frame.width > frame.height ? 'Landscape' : frame.width === frame.height ? 'Square' : 'Portrait'
+)
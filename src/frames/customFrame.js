@@ -0,0 +1,104 @@
+import { canvasToBlob, loadImage } from '../utils/image'
+
+export const CUSTOM_FRAME_WIDTH = 1080
+export const CUSTOM_FRAME_HEIGHT = 1920
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]
+const MAX_ASPECT_DEVIATION = 0.05
+const TRANSPARENT_ALPHA = 16
+const MIN_TRANSPARENT_RATIO = 0.05
+const MAX_TRANSPARENT_RATIO = 0.95
+
+// Reads the IHDR color type and looks for a tRNS chunk, which is how
+// palette and truecolor PNGs declare transparency without an alpha channel.
+const readPngInfo = (buffer) => {
+  const bytes = new Uint8Array(buffer)
+  const view = new DataView(buffer)
+
+  if (bytes.length < 33 || PNG_SIGNATURE.some((value, i) => bytes[i] !== value)) {
+    return null
+  }
+
+  const colorType = bytes[25]
+  let hasTransparencyChunk = false
+  let offset = 8
+
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset)
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8))
+    if (type === 'tRNS') {
+      hasTransparencyChunk = true
+      break
+    }
+    if (type === 'IDAT' || type === 'IEND') break
+    offset += length + 12
+  }
+
+  return {
+    colorType,
+    hasAlpha: colorType === 4 || colorType === 6 || hasTransparencyChunk
+  }
+}
+
+// Validates a guest-uploaded PNG and turns it into a frame entry shaped like
+// the ones in the catalog. Errors carry messages meant to be shown as-is.
+export const createCustomFrame = async (file) => {
+  if (file.type !== 'image/png') {
+    throw new Error('Bingkai harus berupa file PNG transparan.')
+  }
+
+  const info = readPngInfo(await file.arrayBuffer())
+  if (!info) {
+    throw new Error('File bukan PNG yang valid.')
+  }
+  if (!info.hasAlpha) {
+    throw new Error('PNG tidak memiliki kanal transparansi (alpha). Simpan ulang bingkai dengan latar transparan.')
+  }
+
+  const sourceUrl = URL.createObjectURL(file)
+  try {
+    const img = await loadImage(sourceUrl)
+
+    const targetAspect = CUSTOM_FRAME_WIDTH / CUSTOM_FRAME_HEIGHT
+    const imgAspect = img.width / img.height
+    if (Math.abs(imgAspect - targetAspect) / targetAspect > MAX_ASPECT_DEVIATION) {
+      throw new Error(`Rasio bingkai harus 9:16 (portrait). Ukuran file ini ${img.width} x ${img.height}.`)
+    }
+
+    // Rescale to the editor canvas size
+    const canvas = document.createElement('canvas')
+    canvas.width = CUSTOM_FRAME_WIDTH
+    canvas.height = CUSTOM_FRAME_HEIGHT
+    const ctx = canvas.getContext('2d')
+    ctx.drawImage(img, 0, 0, CUSTOM_FRAME_WIDTH, CUSTOM_FRAME_HEIGHT)
+
+    // Make sure there is a window for the photo to show through
+    const { data } = ctx.getImageData(0, 0, CUSTOM_FRAME_WIDTH, CUSTOM_FRAME_HEIGHT)
+    let transparentPixels = 0
+    for (let i = 3; i < data.length; i += 4) {
+      if (data[i] < TRANSPARENT_ALPHA) transparentPixels++
+    }
+    const transparentRatio = transparentPixels / (CUSTOM_FRAME_WIDTH * CUSTOM_FRAME_HEIGHT)
+
+    if (transparentRatio < MIN_TRANSPARENT_RATIO) {
+      throw new Error('Bingkai tidak memiliki area transparan untuk foto.')
+    }
+    if (transparentRatio > MAX_TRANSPARENT_RATIO) {
+      throw new Error('Bingkai hampir seluruhnya transparan.')
+    }
+
+    const src = URL.createObjectURL(await canvasToBlob(canvas))
+
+    return {
+      id: 'custom',
+      label: 'Bingkai Kustom',
+      src,
+      thumbnail: src,
+      width: CUSTOM_FRAME_WIDTH,
+      height: CUSTOM_FRAME_HEIGHT,
+      custom: true
+    }
+  } finally {
+    URL.revokeObjectURL(sourceUrl)
+  }
+}
@@ -0,0 +1,42 @@
+import { fetchAsset, pruneAssets, pruneCaches } from '../utils/assetCache'
+
+// Frame PNGs are kept in Cache Storage so the editors work offline after the
+// first visit. Vite's hashed asset URLs already give every new PNG its own
+// key; bump the version when the caching scheme itself changes.
+const CACHE_PREFIX = 'frame-assets-'
+const CACHE_NAME = `${CACHE_PREFIX}v1`
+
+// Returns the frames with `src` and `thumbnail` swapped for blob: URLs of
+// the cached PNGs, downloading and caching whatever is missing. A PNG that
+// can't be loaded keeps its original URL.
+export const resolveCachedFrames = async (frames) => {
+  const sources = [...new Set(frames.flatMap(frame => [frame.src, frame.thumbnail]))]
+  pruneCaches(CACHE_PREFIX, CACHE_NAME)
+  pruneAssets(CACHE_NAME, sources).catch(error => console.warn('Failed to prune frame cache:', error))
+
+  const resolved = new Map(await Promise.all(sources.map(async src => {
+    // Small thumbnails are inlined into the bundle by Vite
+    if (src.startsWith('data:')) return [src, src]
+    try {
+      const { blob } = await fetchAsset(src, { cacheName: CACHE_NAME })
+      return [src, URL.createObjectURL(blob)]
+    } catch (error) {
+      console.warn(`Failed to cache frame ${src}:`, error)
+      return [src, src]
+    }
+  })))
+
+  return frames.map(frame => ({
+    ...frame,
+    src: resolved.get(frame.src),
+    thumbnail: resolved.get(frame.thumbnail)
+  }))
+}
+
+// Frees the blob: URLs made by resolveCachedFrames
+export const releaseCachedFrames = (frames) => {
+  const urls = new Set(frames.flatMap(frame => [frame.src, frame.thumbnail]))
+  urls.forEach(url => {
+    if (url.startsWith('blob:')) URL.revokeObjectURL(url)
+  })
+}
@@ -0,0 +1,25 @@
+import { formatDate } from '../utils/format'
+
+export const COUPLE_NAMES = 'Hanum & Riduwan'
+
+const NAMES_FONT = 'italic 600 64px Georgia, "Times New Roman", serif'
+const DATE_FONT = '500 34px Inter, -apple-system, "Segoe UI", Roboto, sans-serif'
+const NAMES_COLOR = '#b8912a'
+const DATE_COLOR = '#8a6f6f'
+
+// Writes the couple's names with the date underneath, centred on the
+// frame's `caption` point, in output pixels. Drawn over the frame overlay.
+export const drawFrameCaption = (ctx, caption, date) => {
+  ctx.save()
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+
+  ctx.font = NAMES_FONT
+  ctx.fillStyle = NAMES_COLOR
+  ctx.fillText(COUPLE_NAMES, caption.x, caption.y - 28)
+
+  ctx.font = DATE_FONT
+  ctx.fillStyle = DATE_COLOR
+  ctx.fillText(formatDate(date), caption.x, caption.y + 36)
+  ctx.restore()
+}
@@ -0,0 +1,100 @@
+// Finds the transparent "windows" of a frame overlay, i.e. the regions where
+// the guest's photo or video is actually visible.
+
+const SAMPLE_SIZE = 240
+const TRANSPARENT_ALPHA = 128
+const MIN_WINDOW_RATIO = 0.01
+
+const cache = new Map()
+
+const fullCanvasWindow = (width, height) => ({ x: 0, y: 0, width, height })
+
+// Returns the bounding boxes of the connected transparent regions, in output
+// pixels, largest first. Falls back to the whole canvas when the frame has
+// no usable window so callers can always rely on at least one entry.
+export const detectFrameWindows = (frameImg, width, height) => {
+  const cacheKey = `${frameImg.src}|${width}x${height}`
+  if (cache.has(cacheKey)) return cache.get(cacheKey)
+
+  // Scan a downsampled copy; window edges don't need pixel precision
+  const factor = Math.max(width, height) / SAMPLE_SIZE
+  const sampleWidth = Math.max(1, Math.round(width / factor))
+  const sampleHeight = Math.max(1, Math.round(height / factor))
+
+  const canvas = document.createElement('canvas')
+  canvas.width = sampleWidth
+  canvas.height = sampleHeight
+  const ctx = canvas.getContext('2d', { willReadFrequently: true })
+  ctx.drawImage(frameImg, 0, 0, sampleWidth, sampleHeight)
+  const { data } = ctx.getImageData(0, 0, sampleWidth, sampleHeight)
+
+  const total = sampleWidth * sampleHeight
+  const visited = new Uint8Array(total)
+  const queue = new Int32Array(total)
+  const windows = []
+
+  for (let start = 0; start < total; start++) {
+    if (visited[start] || data[start * 4 + 3] >= TRANSPARENT_ALPHA) continue
+
+    // Flood-fill one transparent region and track its bounds
+    let head = 0
+    let tail = 0
+    let area = 0
+    let minX = sampleWidth
+    let minY = sampleHeight
+    let maxX = -1
+    let maxY = -1
+
+    visited[start] = 1
+    queue[tail++] = start
+
+    while (head < tail) {
+      const index = queue[head++]
+      const px = index % sampleWidth
+      const py = (index - px) / sampleWidth
+      area++
+      if (px < minX) minX = px
+      if (px > maxX) maxX = px
+      if (py < minY) minY = py
+      if (py > maxY) maxY = py
+
+      const neighbours = [
+        px > 0 ? index - 1 : -1,
+        px < sampleWidth - 1 ? index + 1 : -1,
+        py > 0 ? index - sampleWidth : -1,
+        py < sampleHeight - 1 ? index + sampleWidth : -1
+      ]
+      for (const next of neighbours) {
+        if (next < 0 || visited[next] || data[next * 4 + 3] >= TRANSPARENT_ALPHA) continue
+        visited[next] = 1
+        queue[tail++] = next
+      }
+    }
+
+    if (area / total < MIN_WINDOW_RATIO) continue
+
+    const x = Math.floor(minX * factor)
+    const y = Math.floor(minY * factor)
+    windows.push({
+      x,
+      y,
+      width: Math.min(width, Math.ceil((maxX + 1) * factor)) - x,
+      height: Math.min(height, Math.ceil((maxY + 1) * factor)) - y,
+      area
+    })
+  }
+
+  const result = windows.length > 0
+    ? windows
+      .sort((a, b) => b.area - a.area)
+      .map(({ x, y, width: w, height: h }) => ({ x, y, width: w, height: h }))
+    : [fullCanvasWindow(width, height)]
+
+  cache.set(cacheKey, result)
+  return result
+}
+
+// The region a single photo or video should be fitted to
+export const getPrimaryWindow = (frameImg, width, height) => (
+  detectFrameWindows(frameImg, width, height)[0]
+)
@@ -0,0 +1,26 @@
+import { useCallback, useEffect, useState } from 'react'
+
+// Video inputs currently connected. Browsers hide labels (and sometimes
+// ids) until camera permission is granted, so call `refresh` once a stream
+// is open. Plugging a camera in or out updates the list by itself.
+export const useCameraDevices = () => {
+  const [devices, setDevices] = useState([])
+
+  const refresh = useCallback(() => {
+    if (!navigator.mediaDevices?.enumerateDevices) return
+    navigator.mediaDevices.enumerateDevices()
+      .then(all => setDevices(all.filter(device => device.kind === 'videoinput' && device.deviceId)))
+      .catch(error => console.error('Failed to list cameras:', error))
+  }, [])
+
+  useEffect(() => {
+    const mediaDevices = navigator.mediaDevices
+    if (!mediaDevices) return
+
+    refresh()
+    mediaDevices.addEventListener('devicechange', refresh)
+    return () => mediaDevices.removeEventListener('devicechange', refresh)
+  }, [refresh])
+
+  return { devices, refresh }
+}
@@ -0,0 +1,44 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+
+// Second-by-second countdown for the camera timer. `start(seconds, onTick)`
+// resolves true once it reaches zero, or false when cancelled (or the
+// component unmounts); `count` is the number to show, null when idle.
+export const useCountdown = () => {
+  const [count, setCount] = useState(null)
+  const timerRef = useRef(null)
+  const finishRef = useRef(null)
+
+  const cancel = useCallback(() => {
+    clearTimeout(timerRef.current)
+    finishRef.current?.(false)
+  }, [])
+
+  const start = useCallback((seconds, onTick) => {
+    cancel()
+
+    return new Promise(resolve => {
+      let remaining = seconds
+      finishRef.current = (completed) => {
+        finishRef.current = null
+        setCount(null)
+        resolve(completed)
+      }
+
+      const tick = () => {
+        if (remaining <= 0) {
+          finishRef.current(true)
+          return
+        }
+        setCount(remaining)
+        onTick?.(remaining)
+        remaining--
+        timerRef.current = setTimeout(tick, 1000)
+      }
+      tick()
+    })
+  }, [cancel])
+
+  useEffect(() => cancel, [cancel])
+
+  return { count, start, cancel }
+}
@@ -0,0 +1,63 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { getRecordingOptions } from '../utils/recording'
+
+// Records a MediaStream with the best format the browser supports (see
+// utils/recording.js). `start(stream, { maxSeconds, onStop })` begins a
+// recording that stops by itself after maxSeconds; onStop receives the
+// Blob. `elapsed` counts whole seconds while recording.
+export const useMediaRecorder = () => {
+  const [isRecording, setIsRecording] = useState(false)
+  const [elapsed, setElapsed] = useState(0)
+  const recorderRef = useRef(null)
+  const timerRef = useRef(null)
+
+  const stop = useCallback(() => {
+    clearInterval(timerRef.current)
+    if (recorderRef.current?.state === 'recording') recorderRef.current.stop()
+  }, [])
+
+  const start = useCallback((stream, { maxSeconds, onStop, onError }) => {
+    const recorder = new MediaRecorder(stream, getRecordingOptions())
+    const chunks = []
+    const startedAt = Date.now()
+
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data)
+    }
+    recorder.onstop = () => {
+      recorderRef.current = null
+      setIsRecording(false)
+      const duration = (Date.now() - startedAt) / 1000
+      onStop(new Blob(chunks, { type: recorder.mimeType || 'video/webm' }), duration)
+    }
+    recorder.onerror = (event) => {
+      console.error('MediaRecorder error:', event.error)
+      stop()
+      onError?.(event.error)
+    }
+
+    // 1 second chunks so a crash mid-way still leaves most of the clip
+    recorder.start(1000)
+    recorderRef.current = recorder
+    setIsRecording(true)
+    setElapsed(0)
+
+    timerRef.current = setInterval(() => {
+      const seconds = Math.floor((Date.now() - startedAt) / 1000)
+      setElapsed(seconds)
+      if (seconds >= maxSeconds) stop()
+    }, 250)
+  }, [stop])
+
+  // Leaving the camera mid-recording discards the clip
+  useEffect(() => () => {
+    clearInterval(timerRef.current)
+    const recorder = recorderRef.current
+    if (recorder?.state === 'recording') {
+      recorder.onstop = null
+      recorder.stop()
+    }
+  }, [])
+
+  return { isRecording, elapsed, start, stop }
+}
@@ -0,0 +1,31 @@
+import { useCallback, useEffect, useState } from 'react'
+import { UPLOAD_QUEUE_EVENT, getPendingUploads, isOffline } from '../pwa/uploadQueue'
+
+// The offline upload queue plus the connection state, kept in sync with
+// queue changes from any component and with online/offline events
+export const usePendingUploads = () => {
+  const [uploads, setUploads] = useState([])
+  const [offline, setOffline] = useState(isOffline)
+
+  const refresh = useCallback(() => {
+    getPendingUploads()
+      .then(setUploads)
+      .catch(error => console.error('Failed to read pending uploads:', error))
+  }, [])
+
+  useEffect(() => {
+    const handleConnection = () => setOffline(isOffline())
+
+    refresh()
+    window.addEventListener(UPLOAD_QUEUE_EVENT, refresh)
+    window.addEventListener('online', handleConnection)
+    window.addEventListener('offline', handleConnection)
+    return () => {
+      window.removeEventListener(UPLOAD_QUEUE_EVENT, refresh)
+      window.removeEventListener('online', handleConnection)
+      window.removeEventListener('offline', handleConnection)
+    }
+  }, [refresh])
+
+  return { uploads, offline }
+}
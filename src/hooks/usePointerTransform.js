@@ -0,0 +1,151 @@
+import { useEffect, useRef } from 'react'
+import { clampScale, normalizeRotation } from '../utils/transform'
+
+const WHEEL_ZOOM_SPEED = 0.0015
+
+// Scales and rotates `transform` about `anchor`, then moves the anchor to
+// `target`, so the point under the fingers (or cursor) stays put.
+const pivot = (transform, anchor, target, factor, angle) => {
+  const scale = clampScale(transform.scale * factor)
+  const ratio = scale / transform.scale
+  const cos = Math.cos(angle)
+  const sin = Math.sin(angle)
+  const dx = transform.x - anchor.x
+  const dy = transform.y - anchor.y
+
+  return {
+    ...transform,
+    scale,
+    rotation: normalizeRotation((transform.rotation || 0) + (angle * 180) / Math.PI),
+    x: target.x + ratio * (dx * cos - dy * sin),
+    y: target.y + ratio * (dx * sin + dy * cos)
+  }
+}
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 })
+
+// Mouse, pen and touch manipulation of a media transform on a canvas:
+// one-pointer pan, two-finger pinch zoom and rotate, and wheel zoom anchored
+// on the cursor. `onStart(point)` returns the transform to manipulate (or
+// null to ignore the gesture); `onChange(transform)` receives every update.
+export function usePointerTransform({ canvasRef, width, height, onStart, onChange, allowRotate = true }) {
+  const optionsRef = useRef(null)
+  optionsRef.current = { width, height, onStart, onChange, allowRotate }
+
+  useEffect(() => {
+    const canvas = canvasRef.current
+    if (!canvas) return
+
+    const pointers = new Map()
+    let transform = null
+    // Last wheel step: what onStart returned and what was sent back. Wheel
+    // ticks can arrive faster than the caller re-renders, and then onStart
+    // still returns the transform from before the previous tick.
+    let wheel = { start: null, result: null }
+
+    const toCanvasPoint = (e) => {
+      const rect = canvas.getBoundingClientRect()
+      const { width: canvasWidth, height: canvasHeight } = optionsRef.current
+      return {
+        x: (e.clientX - rect.left) * (canvasWidth / rect.width),
+        y: (e.clientY - rect.top) * (canvasHeight / rect.height)
+      }
+    }
+
+    const handlePointerDown = (e) => {
+      const point = toCanvasPoint(e)
+
+      if (pointers.size === 0) {
+        transform = optionsRef.current.onStart(point)
+        if (!transform) return
+      } else if (!transform) {
+        return
+      }
+
+      pointers.set(e.pointerId, point)
+      canvas.setPointerCapture(e.pointerId)
+      e.preventDefault()
+    }
+
+    const handlePointerMove = (e) => {
+      if (!transform || !pointers.has(e.pointerId)) return
+
+      const [firstId, secondId] = pointers.keys()
+      const previous = { first: pointers.get(firstId), second: pointers.get(secondId) }
+      pointers.set(e.pointerId, toCanvasPoint(e))
+
+      if (pointers.size === 1) {
+        const current = pointers.get(firstId)
+        transform = {
+          ...transform,
+          x: transform.x + current.x - previous.first.x,
+          y: transform.y + current.y - previous.first.y
+        }
+      } else {
+        // Only the first two pointers drive pinch and rotate
+        if (e.pointerId !== firstId && e.pointerId !== secondId) return
+
+        const first = pointers.get(firstId)
+        const second = pointers.get(secondId)
+        const before = Math.hypot(previous.second.x - previous.first.x, previous.second.y - previous.first.y)
+        const after = Math.hypot(second.x - first.x, second.y - first.y)
+        if (before === 0) return
+
+        const angle = optionsRef.current.allowRotate
+          ? Math.atan2(second.y - first.y, second.x - first.x) -
+            Math.atan2(previous.second.y - previous.first.y, previous.second.x - previous.first.x)
+          : 0
+
+        transform = pivot(
+          transform,
+          midpoint(previous.first, previous.second),
+          midpoint(first, second),
+          after / before,
+          angle
+        )
+      }
+
+      optionsRef.current.onChange(transform)
+    }
+
+    const handlePointerUp = (e) => {
+      if (!pointers.has(e.pointerId)) return
+      pointers.delete(e.pointerId)
+      if (canvas.hasPointerCapture(e.pointerId)) {
+        canvas.releasePointerCapture(e.pointerId)
+      }
+      if (pointers.size === 0) {
+        transform = null
+      }
+    }
+
+    const handleWheel = (e) => {
+      if (pointers.size > 0) return
+
+      const point = toCanvasPoint(e)
+      const start = optionsRef.current.onStart(point)
+      if (!start) return
+
+      e.preventDefault()
+      const target = start === wheel.start ? wheel.result : start
+      const factor = Math.exp(-e.deltaY * WHEEL_ZOOM_SPEED)
+      wheel = { start, result: pivot(target, point, point, factor, 0) }
+      optionsRef.current.onChange(wheel.result)
+    }
+
+    canvas.addEventListener('pointerdown', handlePointerDown)
+    canvas.addEventListener('pointermove', handlePointerMove)
+    canvas.addEventListener('pointerup', handlePointerUp)
+    canvas.addEventListener('pointercancel', handlePointerUp)
+    // Non-passive so the page doesn't scroll while zooming
+    canvas.addEventListener('wheel', handleWheel, { passive: false })
+
+    return () => {
+      canvas.removeEventListener('pointerdown', handlePointerDown)
+      canvas.removeEventListener('pointermove', handlePointerMove)
+      canvas.removeEventListener('pointerup', handlePointerUp)
+      canvas.removeEventListener('pointercancel', handlePointerUp)
+      canvas.removeEventListener('wheel', handleWheel)
+    }
+  }, [canvasRef])
+}
@@ -2,6 +2,7 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import App from './App.jsx'
 import './index.css'
+import { registerServiceWorker } from './pwa/registerServiceWorker'
 
 createRoot(document.getElementById('root')).render(
   // Temporarily disable StrictMode if you experience canvas initialization issues
@@ -9,3 +10,5 @@ createRoot(document.getElementById('root')).render(
     <App />
   // </StrictMode>,
 )
+
+registerServiceWorker()
@@ -0,0 +1,11 @@
+// Registers dist/sw.js (see src/pwa/sw.js). Production only: the dev server
+// doesn't emit a service worker and HMR shouldn't be served from a cache.
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.error('Service worker registration failed:', error)
+    })
+  })
+}
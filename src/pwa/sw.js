@@ -0,0 +1,73 @@
+// Service worker for the installable app. Not bundled: the pwaServiceWorker
+// plugin in vite.config.js copies it to dist/sw.js at build time and fills
+// in the precache manifest below,
+//   { version, shell: [url...], ffmpeg: { cacheName, urls: [url...] } }
+// so every file of the build is served from the cache and the app works
+// offline after the first visit.
+
+/* global clients */
+
+const { version, shell, ffmpeg } = self.__PRECACHE_MANIFEST__
+
+const SHELL_PREFIX = 'app-shell-'
+const SHELL_CACHE = `${SHELL_PREFIX}${version}`
+
+// The core lives in the cache the app's loader reads (ffmpegCores.js), so a
+// precached core is picked up without going through fetch at all. A failed
+// download doesn't block installing; the app then caches the core itself.
+const precacheFFmpegCore = async () => {
+  try {
+    const cache = await caches.open(ffmpeg.cacheName)
+    const missing = []
+    for (const url of ffmpeg.urls) {
+      if (!(await cache.match(url))) missing.push(url)
+    }
+    await Promise.all(missing.map(async url => {
+      const response = await fetch(url, { mode: 'cors' })
+      if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`)
+      await cache.put(url, response)
+    }))
+  } catch (error) {
+    console.warn('[sw] Failed to precache the FFmpeg core:', error)
+  }
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE)
+    await cache.addAll(shell)
+    await precacheFFmpegCore()
+    await self.skipWaiting()
+  })())
+})
+
+// Drop the previous build; the FFmpeg and frame caches are versioned and
+// pruned by the app
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys()
+    await Promise.all(names
+      .filter(name => name.startsWith(SHELL_PREFIX) && name !== SHELL_CACHE)
+      .map(name => caches.delete(name)))
+    await clients.claim()
+  })())
+})
+
+// Cache first: everything precached is immutable for this build. Page
+// navigations get the cached index.html so the app opens without a
+// connection; the benchmark page isn't precached and always comes from the
+// network.
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+  const isAppNavigation = request.mode === 'navigate' && !new URL(request.url).pathname.endsWith('/benchmark.html')
+
+  event.respondWith((async () => {
+    const cache = await caches.open(SHELL_CACHE)
+    let cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' })
+    if (!cached && isAppNavigation) cached = await cache.match('/index.html')
+    if (cached) return cached
+
+    return fetch(request)
+  })())
+})
@@ -0,0 +1,64 @@
+// Results exported while offline, kept in IndexedDB until the guest is back
+// online and can put them in the shared Drive folder. Survives reloads and
+// closing the installed app.
+
+export const DRIVE_FOLDER_URL = 'https://drive.google.com/drive/folders/1U7lg3U5U_oxqkrN48tZ0IudGTQQz6xpO'
+
+const DB_NAME = 'wedding-frame-editor'
+const DB_VERSION = 1
+const STORE = 'pending-uploads'
+// Fired on window whenever the queue changes
+export const UPLOAD_QUEUE_EVENT = 'pending-uploads-change'
+
+let dbPromise = null
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+    // Allow a retry after e.g. a blocked upgrade
+    dbPromise.catch(() => { dbPromise = null })
+  }
+  return dbPromise
+}
+
+const runTransaction = async (mode, operation) => {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode)
+    const request = operation(transaction.objectStore(STORE))
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+const notifyChange = () => window.dispatchEvent(new Event(UPLOAD_QUEUE_EVENT))
+
+export const isOffline = () => navigator.onLine === false
+
+export const queueUpload = async (blob, filename) => {
+  await runTransaction('readwrite', store => store.add({ blob, filename, createdAt: Date.now() }))
+  notifyChange()
+}
+
+// Oldest first: { id, blob, filename, createdAt }
+export const getPendingUploads = () => runTransaction('readonly', store => store.getAll())
+
+export const removePendingUpload = async (id) => {
+  await runTransaction('readwrite', store => store.delete(id))
+  notifyChange()
+}
+
+// Editors call this after every download; only offline exports are queued.
+// Queueing is best effort and never fails the download itself.
+export const queueUploadIfOffline = (blob, filename) => {
+  if (!isOffline()) return
+  queueUpload(blob, filename).catch(error => console.error('Failed to queue upload:', error))
+}
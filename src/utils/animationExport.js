@@ -0,0 +1,84 @@
+import { coverInRect } from './fit'
+import { drawTransformedImage } from './transform'
+
+// Short looping clips from a camera burst, encoded with FFmpeg: an animated
+// GIF or an MP4 that plays the loop a few times, sized for chat apps.
+
+export const ANIMATION_FORMATS = {
+  gif: { label: 'GIF', extension: 'gif', mimeType: 'image/gif' },
+  mp4: { label: 'MP4', extension: 'mp4', mimeType: 'video/mp4' }
+}
+
+export const LOOP_STYLES = [
+  { id: 'boomerang', label: 'Boomerang' },
+  { id: 'loop', label: 'Ulang' }
+]
+
+export const ANIMATION_FPS_OPTIONS = [6, 10, 15]
+// Output width in pixels; the height follows the frame
+export const ANIMATION_SIZE_OPTIONS = [320, 480, 720]
+
+// MP4s don't loop by themselves, so the sequence is repeated in the file
+const MP4_REPEATS = 3
+
+// yuv420p and most GIF viewers want even dimensions
+const even = (value) => 2 * Math.round(value / 2)
+
+export const getAnimationSize = (frame, width) => ({
+  width: even(width),
+  height: even(width * frame.height / frame.width)
+})
+
+// Shot indices in playback order. Boomerang plays forwards then backwards
+// without repeating the turnaround shots, so it loops seamlessly.
+export const getSequenceOrder = (count, loopStyle) => {
+  const forward = Array.from({ length: count }, (_, index) => index)
+  if (loopStyle !== 'boomerang' || count < 3) return forward
+  return [...forward, ...forward.slice(1, -1).reverse()]
+}
+
+// Draws one burst shot the way PhotoEditor does: white background, the
+// shot covering the canvas (it was cropped to the frame when taken) and the
+// frame on top. `factor` scales from frame pixels to the output size.
+export const drawAnimationFrame = (ctx, shot, frameImg, frame, factor = 1) => {
+  ctx.setTransform(factor, 0, 0, factor, 0, 0)
+  ctx.imageSmoothingQuality = 'high'
+  ctx.fillStyle = '#ffffff'
+  ctx.fillRect(0, 0, frame.width, frame.height)
+  drawTransformedImage(ctx, shot, coverInRect(shot.width, shot.height, { x: 0, y: 0, width: frame.width, height: frame.height }))
+  ctx.drawImage(frameImg, 0, 0, frame.width, frame.height)
+}
+
+// Input file name for position `index` of the sequence
+export const getSequenceFileName = (format, index) => (
+  `frame${String(index).padStart(3, '0')}.${format === 'gif' ? 'png' : 'jpg'}`
+)
+
+export const getSequenceLength = (format, order) => (
+  format === 'mp4' ? order.length * MP4_REPEATS : order.length
+)
+
+// FFmpeg command for the numbered frames written with getSequenceFileName.
+// The GIF gets its own palette; `diff` stats favour the moving parts.
+export const buildAnimationArgs = ({ format, fps }) => {
+  const input = ['-framerate', String(fps), '-i', getSequenceFileName(format, 0).replace('000', '%03d')]
+
+  if (format === 'gif') {
+    return [
+      ...input,
+      '-filter_complex', 'split[a][b];[a]palettegen=stats_mode=diff[palette];[b][palette]paletteuse=dither=bayer:bayer_scale=4:diff_mode=rectangle',
+      '-loop', '0',
+      'output.gif'
+    ]
+  }
+
+  return [
+    ...input,
+    '-c:v', 'libx264',
+    '-preset', 'medium',
+    '-crf', '26',
+    '-pix_fmt', 'yuv420p',
+    '-movflags', '+faststart',
+    'output.mp4'
+  ]
+}
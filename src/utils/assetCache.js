@@ -0,0 +1,106 @@
+// Cache Storage for the large static assets (FFmpeg core, frame PNGs), so
+// repeat visits don't touch the network. Cache names carry a version; a new
+// version starts empty and the old caches are deleted with pruneCaches.
+// Everything degrades to plain fetches where Cache Storage is unavailable
+// (insecure origins, some private modes).
+
+const hasCacheStorage = () => typeof caches !== 'undefined'
+
+const openCache = async (cacheName) => {
+  if (!hasCacheStorage()) return null
+  try {
+    return await caches.open(cacheName)
+  } catch (error) {
+    console.warn(`Cache ${cacheName} unavailable:`, error)
+    return null
+  }
+}
+
+// Reads the body chunk by chunk so progress can be reported in bytes.
+// Content-Length is the compressed size for gzipped responses, so the total
+// is never allowed to fall below what was actually read.
+const readWithProgress = async (response, onProgress) => {
+  const total = Number(response.headers.get('Content-Length')) || 0
+  const type = response.headers.get('Content-Type') || ''
+  if (!response.body || !onProgress) return response.blob()
+
+  const reader = response.body.getReader()
+  const chunks = []
+  let loaded = 0
+  onProgress(0, total)
+
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+    chunks.push(value)
+    loaded += value.byteLength
+    onProgress(loaded, Math.max(total, loaded))
+  }
+
+  return new Blob(chunks, { type })
+}
+
+export const getCachedAsset = async (cacheName, url) => {
+  const cache = await openCache(cacheName)
+  const response = await cache?.match(url)
+  return response ? response.blob() : null
+}
+
+export const isAssetCached = async (cacheName, url) => Boolean(await (await openCache(cacheName))?.match(url))
+
+export const storeAsset = async (cacheName, url, blob) => {
+  const cache = await openCache(cacheName)
+  if (!cache) return
+  try {
+    await cache.put(url, new Response(blob, {
+      headers: { 'Content-Type': blob.type, 'Content-Length': String(blob.size) }
+    }))
+  } catch (error) {
+    // Usually the storage quota; the asset still works for this visit
+    console.warn(`Failed to cache ${url}:`, error)
+  }
+}
+
+// Returns `url` as a Blob, from `cacheName` when it's there, otherwise from
+// the network. `onProgress(loaded, total)` is in bytes. Downloads are stored
+// unless `store` is false, for callers that validate the asset first and
+// store it themselves.
+export const fetchAsset = async (url, { cacheName, onProgress, store = true } = {}) => {
+  const cached = await getCachedAsset(cacheName, url)
+  if (cached) {
+    onProgress?.(cached.size, cached.size)
+    return { blob: cached, fromCache: true }
+  }
+
+  const response = await fetch(url)
+  if (!response.ok) throw new Error(`HTTP ${response.status} saat mengunduh ${url}`)
+  const blob = await readWithProgress(response, onProgress)
+  if (store) await storeAsset(cacheName, url, blob)
+  return { blob, fromCache: false }
+}
+
+// Deletes caches named `${prefix}...` other than `current`, i.e. earlier
+// versions of the same assets
+export const pruneCaches = async (prefix, current) => {
+  if (!hasCacheStorage()) return
+  try {
+    const names = await caches.keys()
+    await Promise.all(names
+      .filter(name => name.startsWith(prefix) && name !== current)
+      .map(name => caches.delete(name)))
+  } catch (error) {
+    console.warn(`Failed to prune ${prefix} caches:`, error)
+  }
+}
+
+// Drops entries of `cacheName` whose URL isn't in `keepURLs`, e.g. assets
+// from an older build
+export const pruneAssets = async (cacheName, keepURLs) => {
+  const cache = await openCache(cacheName)
+  if (!cache) return
+  const keep = new Set(keepURLs.map(url => new URL(url, location.href).href))
+  const requests = await cache.keys()
+  await Promise.all(requests
+    .filter(request => !keep.has(request.url))
+    .map(request => cache.delete(request)))
+}
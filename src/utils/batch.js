@@ -0,0 +1,62 @@
+import { ingestImageFile } from './mediaIngest'
+import { canvasToBlob, loadImage } from './image'
+
+// Batch mode keeps a downscaled working copy of every photo instead of the
+// original, so a couple's 200 photos fit in memory. The long side still
+// covers the 1920 px frames even when the photo is cropped to fill.
+const WORKING_MAX_SIDE = 2560
+const WORKING_QUALITY = 0.92
+
+// Upright working copy of an uploaded photo plus the metadata the export
+// writes back: { url, width, height, capturedAt, make, model }. The caller
+// revokes `url`.
+export const prepareBatchPhoto = async (file) => {
+  const media = await ingestImageFile(file)
+  const img = await loadImage(media.src)
+  const scale = Math.min(1, WORKING_MAX_SIDE / Math.max(img.naturalWidth, img.naturalHeight))
+
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.round(img.naturalWidth * scale)
+  canvas.height = Math.round(img.naturalHeight * scale)
+  canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height)
+  const blob = await canvasToBlob(canvas, 'image/jpeg', WORKING_QUALITY)
+
+  return {
+    url: URL.createObjectURL(blob),
+    width: canvas.width,
+    height: canvas.height,
+    capturedAt: media.capturedAt,
+    make: media.make,
+    model: media.model
+  }
+}
+
+// hanum-riduwan-wedding-<frame>-001.jpg ..., numbered in upload order and
+// padded so the files sort correctly
+export const getBatchFileName = (frame, index, total) => {
+  const digits = Math.max(3, String(total).length)
+  return `hanum-riduwan-wedding-${frame.id}-${String(index + 1).padStart(digits, '0')}.jpg`
+}
+
+// Runs async tasks at most `concurrency` at a time, in the order they were
+// added. Decoding a few large photos at once is plenty; dozens at once can
+// exhaust a phone's memory.
+export const createTaskQueue = (concurrency = 2) => {
+  let running = 0
+  const waiting = []
+
+  const next = () => {
+    if (running >= concurrency || waiting.length === 0) return
+    running++
+    const { task, resolve, reject } = waiting.shift()
+    task().then(resolve, reject).finally(() => {
+      running--
+      next()
+    })
+  }
+
+  return (task) => new Promise((resolve, reject) => {
+    waiting.push({ task, resolve, reject })
+    next()
+  })
+}
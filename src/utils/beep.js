@@ -0,0 +1,28 @@
+// Short sine beeps for the camera countdown, generated with Web Audio so no
+// sound files need to be shipped or cached
+
+let audioContext = null
+
+export const playBeep = ({ frequency = 880, duration = 0.12, volume = 0.2 } = {}) => {
+  try {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext
+    if (!AudioContextClass) return
+    audioContext = audioContext || new AudioContextClass()
+    // Created outside a user gesture it starts suspended
+    if (audioContext.state === 'suspended') audioContext.resume()
+
+    const oscillator = audioContext.createOscillator()
+    const gain = audioContext.createGain()
+    const now = audioContext.currentTime
+    oscillator.frequency.value = frequency
+    // Quick fade out avoids the click of an abrupt stop
+    gain.gain.setValueAtTime(volume, now)
+    gain.gain.exponentialRampToValueAtTime(0.001, now + duration)
+
+    oscillator.connect(gain).connect(audioContext.destination)
+    oscillator.start(now)
+    oscillator.stop(now + duration)
+  } catch (error) {
+    console.warn('Beep failed:', error)
+  }
+}
@@ -0,0 +1,55 @@
+import { getCoverCrop } from './fit'
+
+// Grabs the current webcam frame cropped to `aspectRatio` (the frame's
+// width / height), i.e. exactly what the object-cover preview shows, at the
+// camera's native resolution. `mirror` flips it like the mirrored preview.
+// Returns a JPEG data URL, or null while the video has no frame yet.
+export const captureFramedShot = (video, aspectRatio, { type = 'image/jpeg', quality = 0.92, mirror = false } = {}) => {
+  if (!video || !video.videoWidth || !video.videoHeight) return null
+
+  const crop = getCoverCrop(video.videoWidth, video.videoHeight, aspectRatio)
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.round(crop.width)
+  canvas.height = Math.round(crop.height)
+  const ctx = canvas.getContext('2d')
+  if (mirror) {
+    ctx.translate(canvas.width, 0)
+    ctx.scale(-1, 1)
+  }
+  ctx.drawImage(
+    video,
+    crop.x, crop.y, crop.width, crop.height,
+    0, 0, canvas.width, canvas.height
+  )
+  return canvas.toDataURL(type, quality)
+}
+
+// MediaRecorder records the camera as it is, so a mirrored recording goes
+// through a canvas that redraws the preview flipped. Audio tracks are passed
+// through untouched. Call `stop` once the recording has finished.
+export const createMirroredStream = (video, stream, frameRate = 30) => {
+  const canvas = document.createElement('canvas')
+  canvas.width = video.videoWidth
+  canvas.height = video.videoHeight
+  const ctx = canvas.getContext('2d')
+  ctx.translate(canvas.width, 0)
+  ctx.scale(-1, 1)
+
+  let animationFrame = null
+  const draw = () => {
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height)
+    animationFrame = requestAnimationFrame(draw)
+  }
+  draw()
+
+  const mirrored = canvas.captureStream(frameRate)
+  stream.getAudioTracks().forEach(track => mirrored.addTrack(track))
+
+  return {
+    stream: mirrored,
+    stop: () => {
+      cancelAnimationFrame(animationFrame)
+      mirrored.getVideoTracks().forEach(track => track.stop())
+    }
+  }
+}
@@ -0,0 +1,56 @@
+// Camera choices remembered per device in localStorage, so an event laptop
+// with a USB camera opens on the same camera, resolution and mirroring
+// every time. Device ids are stable per origin.
+
+const STORAGE_KEY = 'camera-settings'
+
+// Highest first; a camera that can't deliver one falls back to the next
+export const CAMERA_RESOLUTIONS = [
+  { id: '2160p', label: '4K', width: 3840, height: 2160 },
+  { id: '1080p', label: '1080p', width: 1920, height: 1080 },
+  { id: '720p', label: '720p', width: 1280, height: 720 },
+  { id: '480p', label: '480p', width: 640, height: 480 }
+]
+
+export const DEFAULT_CAMERA_SETTINGS = { resolution: '1080p', mirror: false }
+
+const readStore = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
+
+const writeStore = (store) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(store))
+  } catch (error) {
+    // Private mode or quota; the choice just isn't remembered
+    console.warn('Failed to save camera settings:', error)
+  }
+}
+
+export const getResolutionIndex = (id) => {
+  const index = CAMERA_RESOLUTIONS.findIndex(resolution => resolution.id === id)
+  return index === -1 ? CAMERA_RESOLUTIONS.findIndex(resolution => resolution.id === DEFAULT_CAMERA_SETTINGS.resolution) : index
+}
+
+// Device used last time, or null before the first successful open
+export const getLastCameraId = () => readStore().lastDeviceId || null
+
+// `{ resolution, mirror }` for a device, defaults for unknown ones
+export const getCameraSettings = (deviceId) => ({
+  ...DEFAULT_CAMERA_SETTINGS,
+  ...(deviceId && readStore().devices?.[deviceId])
+})
+
+export const saveCameraSettings = (deviceId, settings) => {
+  if (!deviceId) return
+  const store = readStore()
+  writeStore({
+    ...store,
+    lastDeviceId: deviceId,
+    devices: { ...store.devices, [deviceId]: { ...getCameraSettings(deviceId), ...settings } }
+  })
+}
@@ -0,0 +1,213 @@
+// Minimal JPEG EXIF support: read orientation, capture date, camera and
+// pixel size from uploads, and write a small EXIF block into exports.
+
+const TAG_IMAGE_DESCRIPTION = 0x010e
+const TAG_MAKE = 0x010f
+const TAG_MODEL = 0x0110
+const TAG_ORIENTATION = 0x0112
+const TAG_SOFTWARE = 0x0131
+const TAG_DATE_TIME = 0x0132
+const TAG_EXIF_IFD = 0x8769
+const TAG_DATE_TIME_ORIGINAL = 0x9003
+const TAG_DATE_TIME_DIGITIZED = 0x9004
+const TAG_PIXEL_X_DIMENSION = 0xa002
+const TAG_PIXEL_Y_DIMENSION = 0xa003
+
+const TYPE_ASCII = 2
+const TYPE_SHORT = 3
+const TYPE_LONG = 4
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 }
+
+const EXIF_HEADER = [0x45, 0x78, 0x69, 0x66, 0x00, 0x00] // "Exif\0\0"
+
+const isJpeg = (bytes) => bytes.length > 3 && bytes[0] === 0xff && bytes[1] === 0xd8
+
+// Offset of the TIFF header inside the APP1 "Exif" segment, or -1
+const findExifTiffOffset = (bytes, view) => {
+  let offset = 2
+  while (offset + 4 <= bytes.length) {
+    if (bytes[offset] !== 0xff) return -1
+    const marker = bytes[offset + 1]
+    // Start of scan: no more metadata segments
+    if (marker === 0xda) return -1
+
+    const length = view.getUint16(offset + 2)
+    if (marker === 0xe1 && EXIF_HEADER.every((value, i) => bytes[offset + 4 + i] === value)) {
+      return offset + 10
+    }
+    offset += 2 + length
+  }
+  return -1
+}
+
+const readIfd = (view, tiffOffset, ifdOffset, littleEndian) => {
+  const entries = {}
+  const start = tiffOffset + ifdOffset
+  if (start + 2 > view.byteLength) return entries
+
+  const count = view.getUint16(start, littleEndian)
+  for (let i = 0; i < count; i++) {
+    const entry = start + 2 + i * 12
+    if (entry + 12 > view.byteLength) break
+
+    const tag = view.getUint16(entry, littleEndian)
+    const type = view.getUint16(entry + 2, littleEndian)
+    const valueCount = view.getUint32(entry + 4, littleEndian)
+    const size = (TYPE_SIZES[type] || 1) * valueCount
+    const valueOffset = size > 4 ? tiffOffset + view.getUint32(entry + 8, littleEndian) : entry + 8
+    if (valueOffset + size > view.byteLength) continue
+
+    if (type === TYPE_ASCII) {
+      let text = ''
+      for (let j = 0; j < valueCount; j++) {
+        const code = view.getUint8(valueOffset + j)
+        if (code === 0) break
+        text += String.fromCharCode(code)
+      }
+      entries[tag] = text.trim()
+    } else if (type === TYPE_SHORT) {
+      entries[tag] = view.getUint16(valueOffset, littleEndian)
+    } else if (type === TYPE_LONG) {
+      entries[tag] = view.getUint32(valueOffset, littleEndian)
+    }
+  }
+  return entries
+}
+
+// "YYYY:MM:DD HH:MM:SS" in camera local time
+const parseExifDate = (value) => {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value || '')
+  if (!match) return null
+  const [, year, month, day, hours, minutes, seconds] = match.map(Number)
+  const date = new Date(year, month - 1, day, hours, minutes, seconds)
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+const formatExifDate = (date) => {
+  const pad = (value) => String(value).padStart(2, '0')
+  return `${date.getFullYear()}:${pad(date.getMonth() + 1)}:${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`
+}
+
+// Returns { orientation, capturedAt, make, model, width, height }; fields
+// the file doesn't carry are left undefined. Non-JPEG input yields {}.
+export const readExif = (buffer) => {
+  const bytes = new Uint8Array(buffer)
+  const view = new DataView(buffer)
+  if (!isJpeg(bytes)) return {}
+
+  const tiffOffset = findExifTiffOffset(bytes, view)
+  if (tiffOffset < 0 || tiffOffset + 8 > bytes.length) return {}
+
+  const littleEndian = view.getUint16(tiffOffset) === 0x4949
+  const ifd0 = readIfd(view, tiffOffset, view.getUint32(tiffOffset + 4, littleEndian), littleEndian)
+  const exifIfd = ifd0[TAG_EXIF_IFD]
+    ? readIfd(view, tiffOffset, ifd0[TAG_EXIF_IFD], littleEndian)
+    : {}
+
+  return {
+    orientation: ifd0[TAG_ORIENTATION],
+    capturedAt: parseExifDate(exifIfd[TAG_DATE_TIME_ORIGINAL] || ifd0[TAG_DATE_TIME]) || undefined,
+    make: ifd0[TAG_MAKE] || undefined,
+    model: ifd0[TAG_MODEL] || undefined,
+    width: exifIfd[TAG_PIXEL_X_DIMENSION],
+    height: exifIfd[TAG_PIXEL_Y_DIMENSION]
+  }
+}
+
+// Builds a big-endian TIFF structure with IFD0 and an Exif sub-IFD
+const buildTiff = (ifd0Entries, exifEntries) => {
+  const encoder = new TextEncoder()
+  const toAscii = (value) => {
+    const bytes = encoder.encode(value)
+    const out = new Uint8Array(bytes.length + 1)
+    out.set(bytes)
+    return out
+  }
+
+  const ifd0 = ifd0Entries.map(([tag, value]) => ({ tag, data: toAscii(value) }))
+  const exif = exifEntries.map(([tag, value]) => ({ tag, data: toAscii(value) }))
+  const hasExifIfd = exif.length > 0
+  if (hasExifIfd) ifd0.push({ tag: TAG_EXIF_IFD, pointer: true })
+  ifd0.sort((a, b) => a.tag - b.tag)
+  exif.sort((a, b) => a.tag - b.tag)
+
+  const ifdSize = (entries) => 2 + entries.length * 12 + 4
+  const ifd0Offset = 8
+  const exifOffset = ifd0Offset + ifdSize(ifd0)
+  let dataOffset = exifOffset + (hasExifIfd ? ifdSize(exif) : 0)
+
+  const dataSize = [...ifd0, ...exif]
+    .reduce((total, entry) => total + (entry.data && entry.data.length > 4 ? entry.data.length + (entry.data.length % 2) : 0), 0)
+  const buffer = new ArrayBuffer(dataOffset + dataSize)
+  const view = new DataView(buffer)
+  const bytes = new Uint8Array(buffer)
+
+  view.setUint16(0, 0x4d4d) // "MM"
+  view.setUint16(2, 0x002a)
+  view.setUint32(4, ifd0Offset)
+
+  const writeIfd = (entries, offset) => {
+    view.setUint16(offset, entries.length)
+    entries.forEach((entry, i) => {
+      const position = offset + 2 + i * 12
+      view.setUint16(position, entry.tag)
+      if (entry.pointer) {
+        view.setUint16(position + 2, TYPE_LONG)
+        view.setUint32(position + 4, 1)
+        view.setUint32(position + 8, exifOffset)
+        return
+      }
+      view.setUint16(position + 2, TYPE_ASCII)
+      view.setUint32(position + 4, entry.data.length)
+      if (entry.data.length <= 4) {
+        bytes.set(entry.data, position + 8)
+      } else {
+        view.setUint32(position + 8, dataOffset)
+        bytes.set(entry.data, dataOffset)
+        dataOffset += entry.data.length + (entry.data.length % 2)
+      }
+    })
+    view.setUint32(offset + 2 + entries.length * 12, 0)
+  }
+
+  writeIfd(ifd0, ifd0Offset)
+  if (hasExifIfd) writeIfd(exif, exifOffset)
+
+  return bytes
+}
+
+// Inserts an EXIF block carrying the date taken, an event tag and the
+// camera into a JPEG blob (such as canvas output, which has none).
+export const writeExif = async (jpegBlob, { dateTaken, eventTag, make, model, software = 'Wedding Frame Editor' } = {}) => {
+  const jpeg = new Uint8Array(await jpegBlob.arrayBuffer())
+  if (!isJpeg(jpeg)) return jpegBlob
+
+  const ifd0Entries = [[TAG_SOFTWARE, software]]
+  const exifEntries = []
+  if (eventTag) ifd0Entries.push([TAG_IMAGE_DESCRIPTION, eventTag])
+  if (make) ifd0Entries.push([TAG_MAKE, make])
+  if (model) ifd0Entries.push([TAG_MODEL, model])
+  if (dateTaken) {
+    const formatted = formatExifDate(dateTaken)
+    ifd0Entries.push([TAG_DATE_TIME, formatted])
+    exifEntries.push([TAG_DATE_TIME_ORIGINAL, formatted], [TAG_DATE_TIME_DIGITIZED, formatted])
+  }
+
+  const tiff = buildTiff(ifd0Entries, exifEntries)
+  const segment = new Uint8Array(4 + EXIF_HEADER.length + tiff.length)
+  const segmentView = new DataView(segment.buffer)
+  segmentView.setUint16(0, 0xffe1)
+  segmentView.setUint16(2, segment.length - 2)
+  segment.set(EXIF_HEADER, 4)
+  segment.set(tiff, 4 + EXIF_HEADER.length)
+
+  // Keep a leading JFIF APP0 segment first, as decoders expect
+  let insertAt = 2
+  if (jpeg[2] === 0xff && jpeg[3] === 0xe0) {
+    insertAt = 4 + ((jpeg[4] << 8) | jpeg[5])
+  }
+
+  return new Blob([jpeg.subarray(0, insertAt), segment, jpeg.subarray(insertAt)], { type: 'image/jpeg' })
+}
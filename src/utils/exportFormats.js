@@ -0,0 +1,19 @@
+export const EXPORT_FORMATS = [
+  { id: 'png', label: 'PNG', mimeType: 'image/png', extension: 'png' },
+  { id: 'jpeg', label: 'JPEG', mimeType: 'image/jpeg', extension: 'jpg' },
+  { id: 'webp', label: 'WebP', mimeType: 'image/webp', extension: 'webp' }
+]
+
+export const supportsWebp = (() => {
+  let supported
+  return () => {
+    if (supported === undefined) {
+      const canvas = document.createElement('canvas')
+      canvas.width = canvas.height = 1
+      supported = canvas.toDataURL('image/webp').startsWith('data:image/webp')
+    }
+    return supported
+  }
+})()
+
+export const getExportFormat = (id) => EXPORT_FORMATS.find(option => option.id === id)
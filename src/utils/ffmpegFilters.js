@@ -0,0 +1,86 @@
+import { BLUR_OVERSCAN, getBlurRadius, getFillColor } from './fitModes'
+
+// yuv420p needs even dimensions and offsets
+const even = (value) => 2 * Math.round(value / 2)
+
+// '#rrggbb' -> '0xrrggbb', which FFmpeg's colour parser accepts everywhere
+const toFFmpegColor = (color) => color.replace('#', '0x')
+
+// Blurred, enlarged copy of input 0 covering the frame window, on a WxH
+// canvas. Box blur twice ≈ a gaussian with σ ≈ radius / 1.22.
+const buildBlurredBackground = ({ width, height, window }) => {
+  const windowWidth = Math.max(2, even(window.width))
+  const windowHeight = Math.max(2, even(window.height))
+  const windowX = Math.min(Math.max(even(window.x), 0), width - windowWidth)
+  const windowY = Math.min(Math.max(even(window.y), 0), height - windowHeight)
+  const radius = Math.min(
+    Math.round(getBlurRadius(window) * 1.22),
+    Math.floor(Math.min(windowWidth, windowHeight) / 4)
+  )
+
+  return `scale=${even(windowWidth * BLUR_OVERSCAN)}:${even(windowHeight * BLUR_OVERSCAN)}` +
+    ':force_original_aspect_ratio=increase:force_divisible_by=2,' +
+    `crop=${windowWidth}:${windowHeight},` +
+    `boxblur=${radius}:2,` +
+    `pad=${width}:${height}:${windowX}:${windowY}:white`
+}
+
+// filter_complex that places input 0 on a WxH canvas according to
+// `transform` ({ x, y, scale } in output pixels, centred like the canvas
+// preview) and lays the frame PNG (input 1) on top. The bars around the
+// media follow `fitMode`, matching `drawFitBackground`. Labels the result
+// [output].
+export const buildFrameFilterGraph = ({ width, height, source, transform, window, fitMode = 'contain-white', fillColor }) => {
+  const scaledWidth = Math.max(2, even(source.width * transform.scale))
+  const scaledHeight = Math.max(2, even(source.height * transform.scale))
+  const left = even(transform.x - scaledWidth / 2)
+  const top = even(transform.y - scaledHeight / 2)
+
+  // pad can't take negative offsets, so crop away whatever falls outside
+  // the output first and pad the visible part back into place
+  const cropX = Math.min(Math.max(-left, 0), scaledWidth - 2)
+  const cropY = Math.min(Math.max(-top, 0), scaledHeight - 2)
+  const cropWidth = Math.max(2, Math.min(scaledWidth, width - left) - cropX)
+  const cropHeight = Math.max(2, Math.min(scaledHeight, height - top) - cropY)
+  const padX = Math.min(Math.max(left, 0), width - cropWidth)
+  const padY = Math.min(Math.max(top, 0), height - cropHeight)
+
+  const media = `scale=${scaledWidth}:${scaledHeight},crop=${cropWidth}:${cropHeight}:${cropX}:${cropY}`
+
+  if (fitMode === 'blurred-fill' && window) {
+    return [
+      '[0:v]split[fg][bg]',
+      `[bg]${buildBlurredBackground({ width, height, window })}[blurred]`,
+      `[fg]${media}[media]`,
+      `[blurred][media]overlay=${padX}:${padY}[scaled]`,
+      '[scaled][1:v]overlay=0:0[output]'
+    ].join(';')
+  }
+
+  const color = toFFmpegColor(getFillColor(fitMode, fillColor))
+  return [
+    `[0:v]${media},pad=${width}:${height}:${padX}:${padY}:${color}[scaled]`,
+    '[scaled][1:v]overlay=0:0[output]'
+  ].join(';')
+}
+
+// Full command for the video export: trims input 0 (input.mp4), runs
+// `filterGraph` with the frame PNG as input 1 (frame.png) and encodes
+// H.264/AAC into output.mp4. Shared by VideoEditor and the core benchmark.
+export const buildExportArgs = ({ trimStart, trimEnd, filterGraph }) => [
+  // Input seeking, so only the trimmed range is decoded and encoded
+  '-ss', trimStart.toFixed(3),
+  '-t', (trimEnd - trimStart).toFixed(3),
+  '-i', 'input.mp4',
+  '-i', 'frame.png',
+  '-filter_complex', filterGraph,
+  '-map', '[output]',
+  '-map', '0:a?', // Include audio if available
+  '-c:v', 'libx264',
+  '-preset', 'medium',
+  '-crf', '18', // High quality
+  '-c:a', 'aac',
+  '-b:a', '128k',
+  '-movflags', '+faststart',
+  'output.mp4'
+]
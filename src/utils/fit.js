@@ -0,0 +1,33 @@
+// Centre and scale that fit media entirely inside a region (letterboxed)
+export const containInRect = (mediaWidth, mediaHeight, rect) => ({
+  x: rect.x + rect.width / 2,
+  y: rect.y + rect.height / 2,
+  scale: Math.min(rect.width / mediaWidth, rect.height / mediaHeight)
+})
+
+// Centre and scale that fill a region completely (cropping the overflow)
+export const coverInRect = (mediaWidth, mediaHeight, rect) => ({
+  x: rect.x + rect.width / 2,
+  y: rect.y + rect.height / 2,
+  scale: Math.max(rect.width / mediaWidth, rect.height / mediaHeight)
+})
+
+// Initial placement for a fit mode: cover crops, everything else letterboxes
+export const fitInRect = (fitMode, mediaWidth, mediaHeight, rect) => (
+  fitMode === 'cover'
+    ? coverInRect(mediaWidth, mediaHeight, rect)
+    : containInRect(mediaWidth, mediaHeight, rect)
+)
+
+// Largest centred region of the media with the given aspect ratio
+// (width / height), in media pixels. What object-fit: cover shows.
+export const getCoverCrop = (mediaWidth, mediaHeight, aspectRatio) => {
+  const width = Math.min(mediaWidth, mediaHeight * aspectRatio)
+  const height = width / aspectRatio
+  return {
+    x: (mediaWidth - width) / 2,
+    y: (mediaHeight - height) / 2,
+    width,
+    height
+  }
+}
@@ -0,0 +1,70 @@
+import { coverInRect } from './fit'
+
+// How media that doesn't match its window is filled. Every mode except
+// cover leaves bars, which get a background from `drawFitBackground`.
+export const FIT_MODES = [
+  { id: 'contain-white', label: 'Putih' },
+  { id: 'contain-color', label: 'Warna' },
+  { id: 'cover', label: 'Penuh' },
+  { id: 'blurred-fill', label: 'Blur' }
+]
+
+export const DEFAULT_FIT_MODE = 'contain-white'
+export const DEFAULT_FILL_COLOR = '#000000'
+
+// Blur strength relative to the window's long side, shared with the
+// FFmpeg boxblur so preview and export look alike
+export const BLUR_RATIO = 0.03
+// The blurred copy is enlarged a little so its soft edges stay outside
+export const BLUR_OVERSCAN = 1.1
+
+export const getBlurRadius = (rect) => Math.max(4, Math.round(Math.max(rect.width, rect.height) * BLUR_RATIO))
+
+// Background colour behind letterboxed media for the colour-based modes
+export const getFillColor = (fitMode, fillColor) => (
+  fitMode === 'contain-color' ? fillColor : '#ffffff'
+)
+
+// Canvases without ctx.filter (older Safari) get a cheap blur by drawing
+// the media tiny and scaling it back up
+const drawDownsampledBlur = (ctx, media, dx, dy, dw, dh, radius) => {
+  const step = Math.max(1, radius / 2)
+  const small = document.createElement('canvas')
+  small.width = Math.max(1, Math.round(dw / step))
+  small.height = Math.max(1, Math.round(dh / step))
+  small.getContext('2d').drawImage(media, 0, 0, small.width, small.height)
+
+  ctx.imageSmoothingEnabled = true
+  ctx.drawImage(small, dx, dy, dw, dh)
+}
+
+// Fills `rect` with the background for `fitMode`: white, the chosen colour,
+// or a blurred, enlarged copy of the media covering the whole region.
+export const drawFitBackground = (ctx, media, rect, { fitMode, fillColor }, mediaWidth = media.width, mediaHeight = media.height) => {
+  ctx.save()
+  ctx.beginPath()
+  ctx.rect(rect.x, rect.y, rect.width, rect.height)
+  ctx.clip()
+
+  ctx.fillStyle = getFillColor(fitMode, fillColor)
+  ctx.fillRect(rect.x, rect.y, rect.width, rect.height)
+
+  if (fitMode === 'blurred-fill' && mediaWidth && mediaHeight) {
+    const { x, y, scale } = coverInRect(mediaWidth, mediaHeight, rect)
+    const drawWidth = mediaWidth * scale * BLUR_OVERSCAN
+    const drawHeight = mediaHeight * scale * BLUR_OVERSCAN
+    const dx = x - drawWidth / 2
+    const dy = y - drawHeight / 2
+    // Filter lengths ignore the context transform, so scale for 2x exports
+    const radius = getBlurRadius(rect) * ctx.getTransform().a
+
+    if ('filter' in ctx) {
+      ctx.filter = `blur(${radius}px)`
+      ctx.drawImage(media, dx, dy, drawWidth, drawHeight)
+    } else {
+      drawDownsampledBlur(ctx, media, dx, dy, drawWidth, drawHeight, radius)
+    }
+  }
+
+  ctx.restore()
+}
@@ -0,0 +1,13 @@
+export const formatDateTime = (date) => (
+  date ? date.toLocaleString('id-ID', { dateStyle: 'medium', timeStyle: 'short' }) : '-'
+)
+
+export const formatDate = (date) => (
+  date ? date.toLocaleDateString('id-ID', { dateStyle: 'long' }) : '-'
+)
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
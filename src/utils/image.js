@@ -0,0 +1,24 @@
+export const loadImage = (src) => new Promise((resolve, reject) => {
+  const img = new Image()
+  img.crossOrigin = 'anonymous'
+  img.onload = () => resolve(img)
+  img.onerror = () => reject(new Error(`Failed to load image: ${src}`))
+  img.src = src
+})
+
+export const canvasToBlob = (canvas, type = 'image/png', quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => {
+    if (blob) resolve(blob)
+    else reject(new Error(`Failed to encode canvas as ${type}`))
+  }, type, quality)
+})
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.download = filename
+  link.href = url
+  link.click()
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
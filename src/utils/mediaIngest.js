@@ -0,0 +1,176 @@
+import { readExif } from './exif'
+import { canvasToBlob, loadImage } from './image'
+import { formatBytes } from './format'
+
+const readAsDataURL = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader()
+  reader.onload = (e) => resolve(e.target.result)
+  reader.onerror = () => reject(reader.error)
+  reader.readAsDataURL(blob)
+})
+
+// Browsers that know the CSS property also honour EXIF orientation when
+// decoding images, including drawImage onto a canvas
+const browserAppliesOrientation = () => (
+  typeof CSS !== 'undefined' && CSS.supports?.('image-orientation', 'from-image')
+)
+
+// Canvas transforms for EXIF orientations 2-8, given the stored pixel size
+const ORIENTATION_TRANSFORMS = {
+  2: (w) => [-1, 0, 0, 1, w, 0],
+  3: (w, h) => [-1, 0, 0, -1, w, h],
+  4: (w, h) => [1, 0, 0, -1, 0, h],
+  5: () => [0, 1, 1, 0, 0, 0],
+  6: (w, h) => [0, 1, -1, 0, h, 0],
+  7: (w, h) => [0, -1, -1, 0, h, w],
+  8: (w) => [0, -1, 1, 0, 0, w]
+}
+
+const drawUpright = async (img, orientation) => {
+  const { naturalWidth: width, naturalHeight: height } = img
+  const swapsAxes = orientation >= 5
+
+  const canvas = document.createElement('canvas')
+  canvas.width = swapsAxes ? height : width
+  canvas.height = swapsAxes ? width : height
+  const ctx = canvas.getContext('2d')
+  ctx.transform(...ORIENTATION_TRANSFORMS[orientation](width, height))
+  ctx.drawImage(img, 0, 0)
+
+  return readAsDataURL(await canvasToBlob(canvas, 'image/jpeg', 0.95))
+}
+
+// Models usually repeat the maker ("Canon" + "Canon EOS R6")
+const describeCamera = (make, model) => {
+  if (model && make && model.toLowerCase().startsWith(make.toLowerCase())) return model
+  return [make, model].filter(Boolean).join(' ') || null
+}
+
+// Reads an uploaded image, makes sure its pixels are upright and collects
+// the metadata the editors show and can copy into exports.
+export const ingestImageFile = async (file) => {
+  const exif = readExif(await file.arrayBuffer())
+  let src = await readAsDataURL(file)
+  let img = await loadImage(src)
+
+  const orientation = exif.orientation || 1
+  if (ORIENTATION_TRANSFORMS[orientation] && !browserAppliesOrientation()) {
+    src = await drawUpright(img, orientation)
+    img = await loadImage(src)
+  }
+
+  return {
+    src,
+    fileName: file.name,
+    width: img.naturalWidth,
+    height: img.naturalHeight,
+    orientation,
+    capturedAt: exif.capturedAt || null,
+    make: exif.make || null,
+    model: exif.model || null,
+    camera: describeCamera(exif.make, exif.model)
+  }
+}
+
+// Videos have no EXIF; the file's modification time is the best hint of
+// when it was recorded. Dimensions come from the video element later.
+export const ingestVideoFile = (file) => ({
+  src: URL.createObjectURL(file),
+  fileName: file.name,
+  capturedAt: file.lastModified ? new Date(file.lastModified) : null
+})
+
+// What the editors can open. Types come from the browser, or from the
+// extension when it reports none or a generic one (common for files
+// dragged from some apps).
+const IMAGE_TYPES = {
+  'image/jpeg': ['jpg', 'jpeg'],
+  'image/png': ['png'],
+  'image/webp': ['webp'],
+  'image/gif': ['gif'],
+  'image/avif': ['avif'],
+  'image/bmp': ['bmp']
+}
+const VIDEO_TYPES = {
+  'video/mp4': ['mp4'],
+  'video/webm': ['webm'],
+  'video/quicktime': ['mov'],
+  'video/x-m4v': ['m4v']
+}
+const HEIF_TYPES = ['image/heic', 'image/heif']
+const HEIF_EXTENSIONS = ['heic', 'heif']
+
+export const MAX_IMAGE_SIZE = 30 * 1024 * 1024
+export const MAX_VIDEO_SIZE = 500 * 1024 * 1024
+
+const getExtension = (name) => name.split('.').pop().toLowerCase()
+
+const isGenericType = (type) => !type || type === 'application/octet-stream'
+
+const findType = (types, file, extension) => (
+  types[file.type]
+    ? file.type
+    : Object.keys(types).find(type => isGenericType(file.type) && types[type].includes(extension))
+)
+
+// 'image' or 'video' for a file the editors can open; otherwise throws
+// with a message for the guest
+export const validateMediaFile = (file) => {
+  const extension = getExtension(file.name)
+
+  if (HEIF_TYPES.includes(file.type) || HEIF_EXTENSIONS.includes(extension)) {
+    throw new Error('Format HEIC belum didukung browser. Ubah ke JPG dulu (iPhone: Pengaturan > Kamera > Format > Paling Kompatibel).')
+  }
+
+  const kind = findType(IMAGE_TYPES, file, extension) ? 'image' : findType(VIDEO_TYPES, file, extension) ? 'video' : null
+  if (!kind) {
+    throw new Error('Jenis file tidak didukung. Gunakan foto JPG, PNG, WebP, GIF atau video MP4, WebM, MOV.')
+  }
+  if (file.size === 0) {
+    throw new Error('File kosong atau rusak.')
+  }
+
+  const maxSize = kind === 'image' ? MAX_IMAGE_SIZE : MAX_VIDEO_SIZE
+  if (file.size > maxSize) {
+    throw new Error(`Ukuran file ${formatBytes(file.size)} melebihi batas ${formatBytes(maxSize)} untuk ${kind === 'image' ? 'foto' : 'video'}.`)
+  }
+
+  return kind
+}
+
+// Splits a drop or selection into what can be opened together: any number
+// of photos, or a single video. Everything else is listed in `rejected`
+// as { name, message }.
+export const sortMediaFiles = (files) => {
+  const images = []
+  const videos = []
+  const rejected = []
+
+  files.forEach(file => {
+    try {
+      if (validateMediaFile(file) === 'image') images.push(file)
+      else videos.push(file)
+    } catch (error) {
+      rejected.push({ name: file.name, message: error.message })
+    }
+  })
+
+  // Videos are edited one at a time and never together with photos
+  const keptVideos = images.length ? [] : videos.slice(0, 1)
+  videos.filter(video => !keptVideos.includes(video)).forEach(video => {
+    rejected.push({ name: video.name, message: 'Video harus diupload terpisah, satu per satu.' })
+  })
+
+  return { images, videos: keptVideos, rejected }
+}
+
+// ingestImageFile, falling back to the raw file without metadata when
+// that fails. Resolves to { src, info }.
+export const readImageFile = (file) => (
+  ingestImageFile(file)
+    .then(media => ({ src: media.src, info: media }))
+    .catch(async error => {
+      console.error('Image ingestion failed:', error)
+      return { src: await readAsDataURL(file), info: null }
+    })
+)
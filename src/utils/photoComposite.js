@@ -0,0 +1,42 @@
+import { drawFitBackground } from './fitModes'
+import { drawTransformedImage } from './transform'
+import { drawFrameCaption } from '../frames/frameCaption'
+
+// Draws a photo composite in output pixels: white canvas, each slot's
+// photo at its transform over the fit mode's background (clipped to the
+// slot on collage frames), the frame on top and its caption if it has one.
+// A `factor` above 1 renders the same layout at a higher resolution
+// straight from the source images. Shared by PhotoEditor and the batch
+// export so both produce the same picture.
+export const drawPhotoComposite = (ctx, layout, factor = 1) => {
+  const { width, height, slots, images, positions, frameImg, fitMode, fillColor, caption, date } = layout
+  const isCollage = slots.length > 1
+
+  ctx.setTransform(factor, 0, 0, factor, 0, 0)
+  ctx.imageSmoothingQuality = 'high'
+  ctx.clearRect(0, 0, width, height)
+
+  ctx.fillStyle = '#ffffff'
+  ctx.fillRect(0, 0, width, height)
+
+  slots.forEach((slot, index) => {
+    const userImg = images[index]
+    const position = positions[index]
+    if (!userImg || !position) return
+
+    // Bars around letterboxed photos get the fit mode's background
+    drawFitBackground(ctx, userImg, slot, { fitMode, fillColor })
+
+    ctx.save()
+    if (isCollage) {
+      ctx.beginPath()
+      ctx.rect(slot.x, slot.y, slot.width, slot.height)
+      ctx.clip()
+    }
+    drawTransformedImage(ctx, userImg, position)
+    ctx.restore()
+  })
+
+  ctx.drawImage(frameImg, 0, 0, width, height)
+  if (caption) drawFrameCaption(ctx, caption, date)
+}
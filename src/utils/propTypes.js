@@ -0,0 +1,63 @@
+import PropTypes from 'prop-types'
+
+// Shapes shared by the editors' propTypes
+
+const rectShape = PropTypes.shape({
+  x: PropTypes.number.isRequired,
+  y: PropTypes.number.isRequired,
+  width: PropTypes.number.isRequired,
+  height: PropTypes.number.isRequired
+})
+
+// An entry of frames/catalog.js or a guest's custom frame
+export const frameShape = PropTypes.shape({
+  id: PropTypes.string.isRequired,
+  label: PropTypes.string,
+  src: PropTypes.string.isRequired,
+  width: PropTypes.number.isRequired,
+  height: PropTypes.number.isRequired,
+  slots: PropTypes.arrayOf(rectShape),
+  caption: PropTypes.shape({
+    x: PropTypes.number.isRequired,
+    y: PropTypes.number.isRequired
+  })
+})
+
+// What mediaIngest.js or a camera capture knows about the media
+export const mediaInfoShape = PropTypes.shape({
+  capturedAt: PropTypes.instanceOf(Date),
+  framedCapture: PropTypes.bool,
+  make: PropTypes.string,
+  model: PropTypes.string,
+  camera: PropTypes.string,
+  width: PropTypes.number,
+  height: PropTypes.number
+})
+
+// See utils/transform.js
+export const transformShape = PropTypes.shape({
+  x: PropTypes.number.isRequired,
+  y: PropTypes.number.isRequired,
+  scale: PropTypes.number.isRequired,
+  rotation: PropTypes.number,
+  flipX: PropTypes.bool,
+  flipY: PropTypes.bool
+})
+
+// A single-photo layout as drawPhotoComposite takes it
+export const compositeLayoutShape = PropTypes.shape({
+  width: PropTypes.number.isRequired,
+  height: PropTypes.number.isRequired,
+  slots: PropTypes.arrayOf(rectShape).isRequired
+})
+
+// One photo of a batch (see BatchEditor)
+export const batchItemShape = PropTypes.shape({
+  id: PropTypes.number.isRequired,
+  name: PropTypes.string.isRequired,
+  status: PropTypes.oneOf(['pending', 'ready', 'error']).isRequired,
+  url: PropTypes.string,
+  width: PropTypes.number,
+  height: PropTypes.number,
+  capturedAt: PropTypes.instanceOf(Date)
+})
@@ -0,0 +1,30 @@
+// MediaRecorder formats in order of preference. MP4/H.264 first: it plays
+// everywhere and the WebCodecs export can read it without FFmpeg. WebM is
+// what Chrome and Firefox always have.
+const RECORDING_MIME_TYPES = [
+  'video/mp4;codecs=avc1.42E01E,mp4a.40.2',
+  'video/mp4;codecs=avc1,mp4a',
+  'video/mp4',
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm;codecs=h264,opus',
+  'video/webm'
+]
+
+const VIDEO_BITRATE = 5_000_000
+const AUDIO_BITRATE = 128_000
+
+// First type this browser can record, or '' to let MediaRecorder pick
+export const getRecordingMimeType = () => {
+  if (typeof MediaRecorder === 'undefined' || !MediaRecorder.isTypeSupported) return ''
+  return RECORDING_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || ''
+}
+
+export const getRecordingOptions = () => {
+  const mimeType = getRecordingMimeType()
+  return {
+    ...(mimeType && { mimeType }),
+    videoBitsPerSecond: VIDEO_BITRATE,
+    audioBitsPerSecond: AUDIO_BITRATE
+  }
+}
@@ -0,0 +1,22 @@
+// Media transforms are { x, y, scale, rotation, flipX, flipY }: the media's
+// centre in canvas pixels, its scale relative to its own pixels, rotation in
+// degrees and mirroring along each of the media's own axes.
+
+export const MIN_SCALE = 0.1
+export const MAX_SCALE = 3
+
+export const clampScale = (scale) => Math.min(Math.max(scale, MIN_SCALE), MAX_SCALE)
+
+// Maps any angle onto -180..180 so sliders and 90° steps stay readable
+export const normalizeRotation = (rotation) => ((((rotation + 180) % 360) + 360) % 360) - 180
+
+export const drawTransformedImage = (ctx, media, transform, mediaWidth = media.width, mediaHeight = media.height) => {
+  const { x, y, scale, rotation = 0, flipX = false, flipY = false } = transform
+
+  ctx.save()
+  ctx.translate(x, y)
+  ctx.rotate((rotation * Math.PI) / 180)
+  ctx.scale(flipX ? -scale : scale, flipY ? -scale : scale)
+  ctx.drawImage(media, -mediaWidth / 2, -mediaHeight / 2, mediaWidth, mediaHeight)
+  ctx.restore()
+}
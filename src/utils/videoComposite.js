@@ -0,0 +1,22 @@
+import { containInRect } from './fit'
+import { drawFitBackground } from './fitModes'
+
+// Draws one video frame the way it is exported: white canvas, the fit mode's
+// background inside the frame window, the video at `transform` (letterboxed
+// in the window until the guest has framed it) and the frame on top. Shared
+// by the live preview and the WebCodecs export so the two always match.
+export const drawVideoComposite = (ctx, media, layout, mediaWidth, mediaHeight) => {
+  const { width, height, frameImg, videoWindow, transform, fitMode, fillColor } = layout
+
+  ctx.fillStyle = '#ffffff'
+  ctx.fillRect(0, 0, width, height)
+
+  drawFitBackground(ctx, media, videoWindow, { fitMode, fillColor }, mediaWidth, mediaHeight)
+
+  const { x, y, scale } = transform || containInRect(mediaWidth, mediaHeight, videoWindow)
+  const drawWidth = mediaWidth * scale
+  const drawHeight = mediaHeight * scale
+  ctx.drawImage(media, x - drawWidth / 2, y - drawHeight / 2, drawWidth, drawHeight)
+
+  ctx.drawImage(frameImg, 0, 0, width, height)
+}
@@ -0,0 +1,330 @@
+import { createFile, DataStream, Endianness, MP4BoxBuffer } from 'mp4box'
+import { ArrayBufferTarget, Muxer } from 'mp4-muxer'
+import { createCancelledError } from '../workers/videoProcessingService'
+
+// Hardware-accelerated export: demux the MP4 with mp4box, decode with
+// VideoDecoder, composite every frame on an OffscreenCanvas, encode H.264
+// and AAC with WebCodecs and mux into an MP4. Much faster than the
+// single-threaded ffmpeg.wasm core on long clips. Throws when the browser or
+// the source can't be handled, so callers can fall back to FFmpeg. Check
+// isWebCodecsExportSupported first; this module is loaded on demand since
+// mp4box is large.
+
+// High, Main and Baseline profile at level 4.0, which covers 1080x1920
+const VIDEO_CODECS = ['avc1.640028', 'avc1.4d0028', 'avc1.42e028']
+const VIDEO_BITRATE = 8_000_000
+const AUDIO_CODEC = 'mp4a.40.2'
+const AUDIO_BITRATE = 128_000
+const KEYFRAME_INTERVAL = 2 // seconds
+// Decoded/encoded frames allowed in flight before the pipeline waits
+const MAX_QUEUE_SIZE = 8
+
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 0))
+
+// Parses the whole file and collects the samples of the first video track
+// and, when there is one, the first audio track
+const demux = (buffer) => new Promise((resolve, reject) => {
+  const file = createFile()
+  let movie = null
+  const samples = new Map()
+
+  file.onError = (module, message) => reject(new Error(`${module}: ${message}`))
+  file.onReady = (info) => {
+    movie = info
+    const tracks = [info.videoTracks[0], info.audioTracks[0]].filter(Boolean)
+    if (!info.videoTracks[0]) return
+    tracks.forEach(track => {
+      samples.set(track.id, [])
+      file.setExtractionOptions(track.id, null, { nbSamples: track.nb_samples })
+    })
+    file.start()
+  }
+  file.onSamples = (id, user, trackSamples) => {
+    samples.get(id)?.push(...trackSamples)
+  }
+
+  file.appendBuffer(MP4BoxBuffer.fromArrayBuffer(buffer, 0))
+  file.flush()
+
+  if (!movie) reject(new Error('Format video tidak didukung (bukan MP4/MOV)'))
+  else if (!movie.videoTracks[0]) reject(new Error('Video tidak memiliki track gambar'))
+  else {
+    const [track] = movie.videoTracks
+    const [audioTrack = null] = movie.audioTracks
+    resolve({
+      file,
+      track,
+      samples: samples.get(track.id),
+      audioTrack,
+      audioSamples: audioTrack ? samples.get(audioTrack.id) : []
+    })
+  }
+})
+
+// The codec configuration box (avcC, hvcC, ...) without its 8-byte header
+const getDecoderDescription = (file, track) => {
+  const trak = file.getTrackById(track.id)
+  for (const entry of trak.mdia.minf.stbl.stsd.entries) {
+    const box = entry.avcC || entry.hvcC || entry.vpcC || entry.av1C
+    if (box) {
+      const stream = new DataStream(undefined, 0, Endianness.BIG_ENDIAN)
+      box.write(stream)
+      return new Uint8Array(stream.buffer, 8)
+    }
+  }
+  return undefined
+}
+
+// AudioSpecificConfig of an AAC track (the DecoderSpecificInfo in esds)
+const getAudioDescription = (file, track) => {
+  const trak = file.getTrackById(track.id)
+  for (const entry of trak.mdia.minf.stbl.stsd.entries) {
+    const data = entry.esds?.esd.findDescriptor(4)?.findDescriptor(5)?.data
+    if (data) return data
+  }
+  return undefined
+}
+
+// Phones store portrait clips as landscape plus a rotation matrix, which
+// the <video> element applies but decoded frames don't
+const getTrackRotation = (track) => {
+  const [a, b] = track.matrix || [65536, 0]
+  const degrees = Math.round((Math.atan2(b, a) * 180) / Math.PI)
+  return ((degrees % 360) + 360) % 360
+}
+
+const findEncoderConfig = async (width, height, framerate) => {
+  for (const codec of VIDEO_CODECS) {
+    const config = {
+      codec,
+      width,
+      height,
+      bitrate: VIDEO_BITRATE,
+      framerate,
+      latencyMode: 'quality',
+      avc: { format: 'avc' }
+    }
+    const { supported } = await VideoEncoder.isConfigSupported(config)
+    if (supported) return config
+  }
+  throw new Error('Encoder H.264 tidak tersedia di browser ini')
+}
+
+// Decoder and encoder configs for the soundtrack, or null when there is
+// none. Throws for audio WebCodecs can't handle, so the clip goes to FFmpeg
+// instead of being exported silently.
+const findAudioConfigs = async (file, track) => {
+  if (!track) return null
+
+  const { sample_rate: sampleRate, channel_count: numberOfChannels } = track.audio
+  const decoderConfig = { codec: track.codec, sampleRate, numberOfChannels, description: getAudioDescription(file, track) }
+  if (!(await AudioDecoder.isConfigSupported(decoderConfig)).supported) {
+    throw new Error(`Codec audio ${track.codec} tidak bisa didekode di browser ini`)
+  }
+
+  const encoderConfig = { codec: AUDIO_CODEC, sampleRate, numberOfChannels, bitrate: AUDIO_BITRATE }
+  if (numberOfChannels > 2 || !(await AudioEncoder.isConfigSupported(encoderConfig)).supported) {
+    throw new Error('Encoder AAC tidak tersedia untuk audio ini')
+  }
+  return { decoderConfig, encoderConfig }
+}
+
+// Copy of `data` moved to `timestamp`; AudioData timestamps are read-only
+const retimeAudioData = (data, timestamp) => {
+  const { numberOfFrames, numberOfChannels, sampleRate } = data
+  const samples = new Float32Array(numberOfFrames * numberOfChannels)
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    data.copyTo(samples.subarray(channel * numberOfFrames, (channel + 1) * numberOfFrames), {
+      planeIndex: channel,
+      format: 'f32-planar'
+    })
+  }
+  return new AudioData({ format: 'f32-planar', sampleRate, numberOfFrames, numberOfChannels, timestamp, data: samples })
+}
+
+// Decodes the trimmed range sample by sample and re-encodes it as AAC, so
+// only a few packets of audio are ever held in memory
+const transcodeAudio = async ({ samples, configs, startUs, endUs, muxer, signal }) => {
+  let pipelineError = null
+  const encoder = new AudioEncoder({
+    output: (chunk, meta) => muxer.addAudioChunk(chunk, meta),
+    error: (error) => { pipelineError = error }
+  })
+  encoder.configure(configs.encoderConfig)
+
+  const decoder = new AudioDecoder({
+    output: (data) => {
+      // Whole packets (about 20 ms each) are kept or dropped at the edges
+      if (data.timestamp >= startUs && data.timestamp < endUs && !pipelineError) {
+        const shifted = retimeAudioData(data, data.timestamp - startUs)
+        encoder.encode(shifted)
+        shifted.close()
+      }
+      data.close()
+    },
+    error: (error) => { pipelineError = error }
+  })
+  decoder.configure(configs.decoderConfig)
+
+  try {
+    for (const sample of samples) {
+      const timestamp = (sample.cts * 1e6) / sample.timescale
+      const duration = (sample.duration * 1e6) / sample.timescale
+      if (timestamp + duration <= startUs) continue
+      if (timestamp >= endUs) break
+
+      decoder.decode(new EncodedAudioChunk({ type: 'key', timestamp, duration, data: sample.data }))
+
+      while (decoder.decodeQueueSize > MAX_QUEUE_SIZE || encoder.encodeQueueSize > MAX_QUEUE_SIZE) {
+        await nextTick()
+      }
+      if (signal?.aborted) throw createCancelledError()
+      if (pipelineError) throw pipelineError
+    }
+
+    await decoder.flush()
+    await encoder.flush()
+    if (pipelineError) throw pipelineError
+  } finally {
+    if (decoder.state !== 'closed') decoder.close()
+    if (encoder.state !== 'closed') encoder.close()
+  }
+}
+
+// Exports [trimStart, trimEnd) of `source` (an MP4 ArrayBuffer) at
+// width x height. `composite(ctx, media, mediaWidth, mediaHeight)` draws one
+// output frame; `onProgress` receives 0..1; aborting `signal` cancels.
+export const exportWithWebCodecs = async ({ source, width, height, trimStart, trimEnd, composite, onProgress, signal }) => {
+  const throwIfAborted = () => {
+    if (signal?.aborted) throw createCancelledError()
+  }
+
+  const { file, track, samples, audioTrack, audioSamples } = await demux(source)
+  throwIfAborted()
+
+  const decoderConfig = {
+    codec: track.codec,
+    codedWidth: track.video.width,
+    codedHeight: track.video.height,
+    description: getDecoderDescription(file, track)
+  }
+  if (!(await VideoDecoder.isConfigSupported(decoderConfig)).supported) {
+    throw new Error(`Codec ${track.codec} tidak bisa didekode di browser ini`)
+  }
+
+  const trackDuration = track.duration / track.timescale
+  const framerate = trackDuration > 0 ? track.nb_samples / trackDuration : 30
+  const encoderConfig = await findEncoderConfig(width, height, framerate)
+
+  const audioConfigs = await findAudioConfigs(file, audioTrack)
+  const audioConfig = audioConfigs?.encoderConfig
+  throwIfAborted()
+
+  const target = new ArrayBufferTarget()
+  const muxer = new Muxer({
+    target,
+    fastStart: 'in-memory',
+    firstTimestampBehavior: 'offset',
+    video: { codec: 'avc', width, height, frameRate: framerate },
+    audio: audioConfig
+      ? { codec: 'aac', sampleRate: audioConfig.sampleRate, numberOfChannels: audioConfig.numberOfChannels }
+      : undefined
+  })
+
+  // Rotated sources are drawn upright into an intermediate canvas first
+  const rotation = getTrackRotation(track)
+  const sideways = rotation === 90 || rotation === 270
+  const mediaWidth = sideways ? track.video.height : track.video.width
+  const mediaHeight = sideways ? track.video.width : track.video.height
+  const upright = rotation !== 0 ? new OffscreenCanvas(mediaWidth, mediaHeight) : null
+  const uprightCtx = upright?.getContext('2d')
+
+  const canvas = new OffscreenCanvas(width, height)
+  const ctx = canvas.getContext('2d')
+
+  const startUs = trimStart * 1e6
+  const endUs = trimEnd * 1e6
+  const keyFrameEvery = Math.max(1, Math.round(framerate * KEYFRAME_INTERVAL))
+  let frameIndex = 0
+  let pipelineError = null
+
+  const encoder = new VideoEncoder({
+    output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+    error: (error) => { pipelineError = error }
+  })
+  encoder.configure(encoderConfig)
+
+  const decoder = new VideoDecoder({
+    output: (frame) => {
+      const timestamp = frame.timestamp
+      if (timestamp < startUs || timestamp >= endUs || pipelineError) {
+        frame.close()
+        return
+      }
+
+      let media = frame
+      if (upright) {
+        uprightCtx.save()
+        uprightCtx.translate(mediaWidth / 2, mediaHeight / 2)
+        uprightCtx.rotate((rotation * Math.PI) / 180)
+        uprightCtx.drawImage(frame, -frame.displayWidth / 2, -frame.displayHeight / 2)
+        uprightCtx.restore()
+        media = upright
+      }
+      composite(ctx, media, mediaWidth, mediaHeight)
+      const duration = frame.duration ?? undefined
+      frame.close()
+
+      const output = new VideoFrame(canvas, { timestamp: timestamp - startUs, duration })
+      encoder.encode(output, { keyFrame: frameIndex % keyFrameEvery === 0 })
+      output.close()
+      frameIndex++
+
+      onProgress?.(Math.min(1, (timestamp - startUs) / (endUs - startUs)))
+    },
+    error: (error) => { pipelineError = error }
+  })
+  decoder.configure(decoderConfig)
+
+  try {
+    // Start at the last keyframe before the trim start
+    let first = 0
+    samples.forEach((sample, index) => {
+      if (sample.is_sync && (sample.cts * 1e6) / sample.timescale <= startUs) first = index
+    })
+
+    for (let i = first; i < samples.length; i++) {
+      const sample = samples[i]
+      // Presentation never precedes decode time, so nothing past here is needed
+      if ((sample.dts * 1e6) / sample.timescale >= endUs) break
+
+      decoder.decode(new EncodedVideoChunk({
+        type: sample.is_sync ? 'key' : 'delta',
+        timestamp: (sample.cts * 1e6) / sample.timescale,
+        duration: (sample.duration * 1e6) / sample.timescale,
+        data: sample.data
+      }))
+
+      while (decoder.decodeQueueSize > MAX_QUEUE_SIZE || encoder.encodeQueueSize > MAX_QUEUE_SIZE) {
+        await nextTick()
+      }
+      throwIfAborted()
+      if (pipelineError) throw pipelineError
+    }
+
+    await decoder.flush()
+    await encoder.flush()
+    if (pipelineError) throw pipelineError
+    if (frameIndex === 0) throw new Error('Tidak ada frame video pada rentang yang dipilih')
+
+    if (audioConfigs) {
+      await transcodeAudio({ samples: audioSamples, configs: audioConfigs, startUs, endUs, muxer, signal })
+    }
+  } finally {
+    if (decoder.state !== 'closed') decoder.close()
+    if (encoder.state !== 'closed') encoder.close()
+  }
+
+  muxer.finalize()
+  return new Blob([target.buffer], { type: 'video/mp4' })
+}
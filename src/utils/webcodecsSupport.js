@@ -0,0 +1,10 @@
+// Kept apart from webcodecsExport.js so the check doesn't pull mp4box and
+// the muxer into the main bundle
+export const isWebCodecsExportSupported = () => (
+  typeof VideoDecoder !== 'undefined' &&
+  typeof VideoEncoder !== 'undefined' &&
+  typeof AudioDecoder !== 'undefined' &&
+  typeof AudioEncoder !== 'undefined' &&
+  typeof VideoFrame !== 'undefined' &&
+  typeof OffscreenCanvas !== 'undefined'
+)
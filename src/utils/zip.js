@@ -0,0 +1,99 @@
+// Minimal ZIP writer for the batch export. Entries are stored without
+// compression: the contents are JPEGs, which wouldn't shrink anyway, and
+// storing keeps this fast and dependency free. No ZIP64, so the archive
+// must stay under 4 GB and 65535 entries.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// MS-DOS date and time, local time, two-second resolution
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+})
+
+// Bit 11: names are UTF-8
+const UTF8_FLAG = 0x0800
+
+const localHeader = ({ nameBytes, crc, size, dos }) => {
+  const header = new DataView(new ArrayBuffer(30))
+  header.setUint32(0, 0x04034b50, true)
+  header.setUint16(4, 20, true)
+  header.setUint16(6, UTF8_FLAG, true)
+  header.setUint16(8, 0, true)
+  header.setUint16(10, dos.time, true)
+  header.setUint16(12, dos.date, true)
+  header.setUint32(14, crc, true)
+  header.setUint32(18, size, true)
+  header.setUint32(22, size, true)
+  header.setUint16(26, nameBytes.length, true)
+  header.setUint16(28, 0, true)
+  return header.buffer
+}
+
+const centralHeader = ({ nameBytes, crc, size, dos, offset }) => {
+  const header = new DataView(new ArrayBuffer(46))
+  header.setUint32(0, 0x02014b50, true)
+  header.setUint16(4, 20, true)
+  header.setUint16(6, 20, true)
+  header.setUint16(8, UTF8_FLAG, true)
+  header.setUint16(10, 0, true)
+  header.setUint16(12, dos.time, true)
+  header.setUint16(14, dos.date, true)
+  header.setUint32(16, crc, true)
+  header.setUint32(20, size, true)
+  header.setUint32(24, size, true)
+  header.setUint16(28, nameBytes.length, true)
+  header.setUint32(42, offset, true)
+  return header.buffer
+}
+
+const endOfCentralDirectory = (count, size, offset) => {
+  const record = new DataView(new ArrayBuffer(22))
+  record.setUint32(0, 0x06054b50, true)
+  record.setUint16(8, count, true)
+  record.setUint16(10, count, true)
+  record.setUint32(12, size, true)
+  record.setUint32(16, offset, true)
+  return record.buffer
+}
+
+// Builds a ZIP from [{ name, blob, date? }]. The contents stay as Blobs, so
+// only one entry at a time is read into memory (for its checksum).
+export const createZip = async (entries) => {
+  const encoder = new TextEncoder()
+  const parts = []
+  const central = []
+  let offset = 0
+
+  for (const { name, blob, date = new Date() } of entries) {
+    const nameBytes = encoder.encode(name)
+    const entry = {
+      nameBytes,
+      crc: crc32(new Uint8Array(await blob.arrayBuffer())),
+      size: blob.size,
+      dos: toDosDateTime(date),
+      offset
+    }
+
+    parts.push(localHeader(entry), nameBytes, blob)
+    central.push(centralHeader(entry), nameBytes)
+    offset += 30 + nameBytes.length + blob.size
+  }
+
+  const centralSize = central.reduce((total, part) => total + part.byteLength, 0)
+  return new Blob([...parts, ...central, endOfCentralDirectory(entries.length, centralSize, offset)], { type: 'application/zip' })
+}
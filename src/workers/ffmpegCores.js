@@ -0,0 +1,149 @@
+import { fetchAsset, isAssetCached, pruneCaches, storeAsset } from '../utils/assetCache'
+import { isCancelledError } from './videoProcessingService'
+
+// FFmpeg cores the processing worker can run. The multi-threaded core needs
+// SharedArrayBuffer, i.e. a cross-origin isolated page (see the COOP/COEP
+// headers in vite.config.js), and spawns its threads from `workerURL`.
+// Each core lists its sources in the order they're tried.
+const CORE_VERSION = '0.12.6'
+
+// Downloaded cores are kept in Cache Storage, one cache per core version.
+// The service worker precaches into the same cache (see getOfflineCoreFiles).
+const CACHE_PREFIX = 'ffmpeg-core-'
+const CACHE_NAME = `${CACHE_PREFIX}${CORE_VERSION}`
+
+const FILE_TYPES = {
+  coreURL: 'text/javascript',
+  wasmURL: 'application/wasm',
+  workerURL: 'text/javascript'
+}
+
+const cdnSources = (pkg, withWorker) => [
+  { name: 'unpkg ESM', base: `https://unpkg.com/${pkg}@${CORE_VERSION}/dist/esm` },
+  { name: 'jsDelivr ESM', base: `https://cdn.jsdelivr.net/npm/${pkg}@${CORE_VERSION}/dist/esm` }
+].map(({ name, base }) => ({
+  name,
+  coreURL: `${base}/ffmpeg-core.js`,
+  wasmURL: `${base}/ffmpeg-core.wasm`,
+  ...(withWorker && { workerURL: `${base}/ffmpeg-core.worker.js` })
+}))
+
+export const FFMPEG_CORES = {
+  mt: {
+    id: 'mt',
+    label: 'Multi-thread',
+    sources: [
+      {
+        name: 'Local files',
+        coreURL: '/ffmpeg-mt/ffmpeg-core.js',
+        wasmURL: '/ffmpeg-mt/ffmpeg-core.wasm',
+        workerURL: '/ffmpeg-mt/ffmpeg-core.worker.js'
+      },
+      ...cdnSources('@ffmpeg/core-mt', true)
+    ]
+  },
+  st: {
+    id: 'st',
+    label: 'Single-thread',
+    sources: [
+      {
+        name: 'Local files',
+        coreURL: '/ffmpeg/ffmpeg-core.js',
+        wasmURL: '/ffmpeg/ffmpeg-core.wasm'
+      },
+      ...cdnSources('@ffmpeg/core', false)
+    ]
+  }
+}
+
+export const canUseMultiThreadCore = () => (
+  typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated === true
+)
+
+// Multi-threaded first when the page allows it, single-threaded otherwise
+export const getCoreCandidates = () => (
+  canUseMultiThreadCore() ? [FFMPEG_CORES.mt, FFMPEG_CORES.st] : [FFMPEG_CORES.st]
+)
+
+const getSourceFiles = (source) => Object.keys(FILE_TYPES).filter(key => source[key])
+
+// What the service worker precaches so video export works offline from the
+// first visit: the single-threaded core, which every browser can run, from
+// the first CDN. The multi-threaded core is cached once it has loaded.
+export const getOfflineCoreFiles = () => {
+  const source = FFMPEG_CORES.st.sources.find(({ coreURL }) => coreURL.startsWith('https:'))
+  return { cacheName: CACHE_NAME, urls: getSourceFiles(source).map(key => source[key]) }
+}
+
+const isSourceCached = async (source) => {
+  const cached = await Promise.all(getSourceFiles(source).map(key => isAssetCached(CACHE_NAME, source[key])))
+  return cached.every(Boolean)
+}
+
+// Sources already in the cache go first, so a repeat visit loads without
+// the network
+const sortCachedFirst = async (sources) => {
+  const cached = await Promise.all(sources.map(isSourceCached))
+  return sources
+    .map((source, index) => ({ source, cached: cached[index] }))
+    .sort((a, b) => Number(b.cached) - Number(a.cached))
+    .map(({ source }) => source)
+}
+
+// Downloads (or reads from the cache) every file of a source and reports the
+// combined byte progress
+const fetchSourceFiles = async (source, onProgress) => {
+  const keys = getSourceFiles(source)
+  const progress = keys.map(() => ({ loaded: 0, total: 0 }))
+  const report = () => onProgress?.({
+    loaded: progress.reduce((sum, file) => sum + file.loaded, 0),
+    total: progress.reduce((sum, file) => sum + file.total, 0)
+  })
+
+  const results = await Promise.all(keys.map((key, index) => fetchAsset(source[key], {
+    cacheName: CACHE_NAME,
+    store: false,
+    onProgress: (loaded, total) => {
+      progress[index] = { loaded, total }
+      report()
+    }
+  })))
+
+  return keys.map((key, index) => ({ key, url: source[key], ...results[index] }))
+}
+
+// Loads the first core/source combination that works into `service` (a
+// VideoProcessingService) and returns { core, fromCache }. Files are only
+// cached once the core has loaded from them, so a bad download (or the dev
+// server's index.html fallback for missing local files) is never kept.
+// `onProgress({ loaded, total })` is in bytes for the source being tried.
+export const loadFFmpegCore = async (service, cores = getCoreCandidates(), { onProgress } = {}) => {
+  pruneCaches(CACHE_PREFIX, CACHE_NAME)
+
+  for (const core of cores) {
+    for (const source of await sortCachedFirst(core.sources)) {
+      let urls = {}
+      try {
+        const files = await fetchSourceFiles(source, onProgress)
+        urls = Object.fromEntries(files.map(({ key, blob }) => [
+          key,
+          URL.createObjectURL(new Blob([blob], { type: FILE_TYPES[key] }))
+        ]))
+        await service.load(urls)
+
+        await Promise.all(files
+          .filter(file => !file.fromCache)
+          .map(file => storeAsset(CACHE_NAME, file.url, file.blob)))
+
+        return { core, fromCache: files.every(file => file.fromCache) }
+      } catch (sourceError) {
+        Object.values(urls).forEach(url => URL.revokeObjectURL(url))
+        // The service was terminated (its editor closed); stop trying
+        if (isCancelledError(sourceError)) throw sourceError
+        console.warn(`Failed to load FFmpeg ${core.label} from ${source.name}:`, sourceError)
+      }
+    }
+  }
+
+  throw new Error('All FFmpeg sources failed')
+}
@@ -0,0 +1,152 @@
+// Client for the video processing worker (html/video-processing-worker.js),
+// which runs FFmpeg off the main thread. The worker is shared with the
+// legacy html app; see its header for the message protocol.
+
+const createWorker = () => new Worker(new URL('../../html/video-processing-worker.js', import.meta.url))
+
+// Rejection reason for cancelled jobs; also used by the WebCodecs engine so
+// callers can treat both export paths the same way
+export const createCancelledError = () => {
+  const error = new Error('Proses dibatalkan')
+  error.cancelled = true
+  return error
+}
+
+export const isCancelledError = (error) => Boolean(error?.cancelled)
+
+export class VideoProcessingService {
+  constructor() {
+    this.worker = null
+    this.loadOptions = null
+    this.ready = null
+    this.pendingLoad = null
+    this.jobs = new Map()
+    // Jobs posted to the worker, in the order it runs them. The first one
+    // may already be executing, even before its first progress message.
+    this.sentJobIds = []
+    this.nextJobId = 1
+    this.terminated = false
+    this.startWorker()
+  }
+
+  startWorker() {
+    this.worker = createWorker()
+    this.worker.onmessage = ({ data }) => this.handleMessage(data)
+  }
+
+  handleMessage(message) {
+    if (message.type === 'load') {
+      const pending = this.pendingLoad
+      this.pendingLoad = null
+      if (!pending) return
+      if (message.error) pending.reject(new Error(message.error))
+      else pending.resolve()
+      return
+    }
+
+    const job = this.jobs.get(message.id)
+    if (!job) return
+
+    if (message.type === 'progress') {
+      job.onProgress?.(message.progress)
+    } else if (message.type === 'result') {
+      this.jobs.delete(message.id)
+      this.forgetSentJob(message.id)
+
+      if (message.cancelled) job.reject(createCancelledError())
+      else if (message.error) job.reject(new Error(message.error))
+      else job.resolve(new Blob([message.data], { type: message.mimeType }))
+    }
+  }
+
+  sendLoad() {
+    this.ready = new Promise((resolve, reject) => {
+      this.pendingLoad = { resolve, reject }
+      this.worker.postMessage({ type: 'load', ...this.loadOptions })
+    })
+    return this.ready
+  }
+
+  // Loads the FFmpeg core ({ coreURL, wasmURL, workerURL? }) into the
+  // worker; workerURL is only for the multi-threaded core. Rejects when the
+  // core can't be loaded, so callers can try another source.
+  load(options) {
+    if (this.terminated) return Promise.reject(createCancelledError())
+    this.loadOptions = options
+    return this.sendLoad()
+  }
+
+  // Queues an FFmpeg run. `inputs` are written to the virtual FS before
+  // `args` execute and `output` is read back as a Blob of `mimeType`.
+  // Returns { id, result } where `result` resolves to that Blob.
+  addJob({ inputs, args, output, mimeType, duration }, { onProgress } = {}) {
+    const id = this.nextJobId++
+    const job = { id, inputs, args, output, mimeType, duration }
+
+    const result = new Promise((resolve, reject) => {
+      this.jobs.set(id, { job, onProgress, resolve, reject })
+    })
+
+    this.postJob(job)
+    return { id, result }
+  }
+
+  async postJob(job) {
+    try {
+      await this.ready
+    } catch (error) {
+      this.rejectJob(job.id, error)
+      return
+    }
+    // Skip jobs cancelled while the core was still loading
+    if (!this.jobs.has(job.id)) return
+    this.sentJobIds.push(job.id)
+    this.worker.postMessage({ type: 'addJob', job })
+  }
+
+  forgetSentJob(id) {
+    this.sentJobIds = this.sentJobIds.filter(sentId => sentId !== id)
+  }
+
+  rejectJob(id, error) {
+    const entry = this.jobs.get(id)
+    if (!entry) return
+    this.jobs.delete(id)
+    entry.reject(error)
+  }
+
+  // Queued jobs are dropped by the worker. A running exec can't be
+  // interrupted, so the worker is replaced and the core reloaded
+  // transparently; jobs queued behind it are sent to the new worker.
+  cancel(id) {
+    if (!this.jobs.has(id)) return
+
+    if (id !== this.sentJobIds[0]) {
+      this.forgetSentJob(id)
+      this.rejectJob(id, createCancelledError())
+      this.worker.postMessage({ type: 'cancel', id })
+      return
+    }
+
+    this.worker.terminate()
+    this.sentJobIds = []
+    this.rejectJob(id, createCancelledError())
+
+    this.startWorker()
+    if (this.loadOptions) {
+      this.sendLoad().catch(error => console.error('Failed to reload FFmpeg after cancelling:', error))
+    }
+    this.jobs.forEach(({ job }) => this.postJob(job))
+  }
+
+  // Settles everything still waiting, so callers of load() and addJob()
+  // see a cancellation instead of hanging
+  terminate() {
+    this.terminated = true
+    this.worker.terminate()
+    this.pendingLoad?.reject(createCancelledError())
+    this.pendingLoad = null
+    this.jobs.forEach(({ reject }) => reject(createCancelledError()))
+    this.jobs.clear()
+  }
+}
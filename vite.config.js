@@ -1,18 +1,76 @@
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
+import { env } from 'node:process'
+import { fileURLToPath } from 'node:url'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { getOfflineCoreFiles } from './src/workers/ffmpegCores.js'
+
+// Cross-origin isolation, which the multi-threaded FFmpeg core needs for
+// SharedArrayBuffer
+const isolationHeaders = {
+  'Cross-Origin-Embedder-Policy': 'require-corp',
+  'Cross-Origin-Opener-Policy': 'same-origin',
+}
+
+// The FFmpeg core benchmark (benchmark.html) is a developer page: always
+// served by the dev server, but only built with BUILD_BENCHMARK=1 so it
+// never ships to guests
+const buildBenchmark = env.BUILD_BENCHMARK === '1'
+
+const listFiles = (dir, prefix = '') => readdirSync(dir, { withFileTypes: true }).flatMap(entry => (
+  entry.isDirectory()
+    ? listFiles(`${dir}/${entry.name}`, `${prefix}${entry.name}/`)
+    : [`${prefix}${entry.name}`]
+))
+
+// Emits dist/sw.js from src/pwa/sw.js with the list of everything the build
+// produced (plus public/) to precache. The version is a hash of that list,
+// so every deploy installs a fresh cache.
+const pwaServiceWorker = () => ({
+  name: 'pwa-service-worker',
+  apply: 'build',
+  // After vite:build-html, so the HTML pages are in the bundle too
+  enforce: 'post',
+  generateBundle(options, bundle) {
+    const publicDir = fileURLToPath(new URL('./public', import.meta.url))
+    // Guests never open the benchmark, so it isn't precached
+    const isBenchmark = (file) => file === 'benchmark.html' || (bundle[file].isEntry && bundle[file].name === 'benchmark')
+    const files = [...Object.keys(bundle).filter(file => !isBenchmark(file)), ...listFiles(publicDir)].sort()
+    const shell = files.map(file => `/${file}`)
+    const version = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12)
+    const manifest = JSON.stringify({ version, shell, ffmpeg: getOfflineCoreFiles() })
+
+    const template = readFileSync(fileURLToPath(new URL('./src/pwa/sw.js', import.meta.url)), 'utf8')
+    this.emitFile({
+      type: 'asset',
+      fileName: 'sw.js',
+      source: template.replace('self.__PRECACHE_MANIFEST__', manifest)
+    })
+  }
+})
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), pwaServiceWorker()],
   server: {
-    headers: {
-      'Cross-Origin-Embedder-Policy': 'require-corp',
-      'Cross-Origin-Opener-Policy': 'same-origin',
-    },
+    headers: isolationHeaders,
     fs: {
       allow: ['..']
     }
   },
+  preview: {
+    headers: isolationHeaders
+  },
+  build: {
+    rollupOptions: {
+      input: {
+        main: fileURLToPath(new URL('./index.html', import.meta.url)),
+        // FFmpeg core benchmark, at /benchmark.html
+        ...(buildBenchmark && { benchmark: fileURLToPath(new URL('./benchmark.html', import.meta.url)) })
+      }
+    }
+  },
   optimizeDeps: {
     exclude: ['@ffmpeg/ffmpeg', '@ffmpeg/util']
   }